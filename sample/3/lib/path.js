@@ -4,7 +4,7 @@
  * 図形のパスを作るためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-05-21
+ * @version 2026-10-19
  */
 
 
@@ -824,6 +824,65 @@ const PATH = (function () {
 		};
 	};
 
+	/**
+	 * 点を記録するハンドラーを作る
+	 * - 曲線は折れ線にして記録する（始点は点の配列の最後の点）
+	 * @param {*} handler 元の描画ハンドラー
+	 * @param {function():number[][]} getPoints 点の配列を返す関数（nullを返したら記録しない）
+	 * @return {*} ハンドラー
+	 */
+	const makeRecordingHandler = function (handler, getPoints) {
+		const record = (ps, I, func) => {
+			for (let i = 1; i <= I; i += 1) ps.push(func(i / I));
+		};
+		const last = (ps, x, y) => (ps.length ? ps[ps.length - 1] : [x, y]);
+		return {
+			lineOrMoveTo: function (x, y, dir) {
+				const ps = getPoints();
+				if (ps) ps.push([x, y]);
+				handler.lineOrMoveTo(x, y, dir);
+			},
+			quadCurveOrMoveTo: function (x1, y1, x2, y2, dir) {
+				const ps = getPoints();
+				if (ps) {
+					const [x0, y0] = last(ps, x1, y1);
+					const I = Math.max(1, Math.ceil((lenOf(x0, y0, x1, y1) + lenOf(x1, y1, x2, y2)) / 2));
+					record(ps, I, (t) => {
+						const tp = 1 - t, k0 = tp * tp, k1 = 2 * t * tp, k2 = t * t;
+						return [k0 * x0 + k1 * x1 + k2 * x2, k0 * y0 + k1 * y1 + k2 * y2];
+					});
+				}
+				handler.quadCurveOrMoveTo(x1, y1, x2, y2, dir);
+			},
+			bezierCurveOrMoveTo: function (x1, y1, x2, y2, x3, y3, dir) {
+				const ps = getPoints();
+				if (ps) {
+					const [x0, y0] = last(ps, x1, y1);
+					const I = Math.max(1, Math.ceil((lenOf(x0, y0, x1, y1) + lenOf(x1, y1, x2, y2) + lenOf(x2, y2, x3, y3)) / 2));
+					record(ps, I, (t) => {
+						const tp = 1 - t;
+						const k0 = tp * tp * tp, k1 = 3 * t * tp * tp, k2 = 3 * t * t * tp, k3 = t * t * t;
+						return [k0 * x0 + k1 * x1 + k2 * x2 + k3 * x3, k0 * y0 + k1 * y1 + k2 * y2 + k3 * y3];
+					});
+				}
+				handler.bezierCurveOrMoveTo(x1, y1, x2, y2, x3, y3, dir);
+			},
+			arcOrMoveTo: function (cx, cy, dr, w, h, r0, r1, ac, dir, xx, yy) {
+				const ps = getPoints();
+				if (ps) {
+					const sin = Math.sin(dr), cos = Math.cos(dr);
+					const I = Math.max(1, Math.ceil(Math.abs(r1 - r0) * (Math.abs(w) + Math.abs(h)) / 4));
+					record(ps, I, (t) => {
+						const r = (1 - t) * r0 + t * r1;
+						const s = w * Math.cos(r), u = h * Math.sin(r);
+						return [cx + s * cos - u * sin, cy + s * sin + u * cos];
+					});
+				}
+				handler.arcOrMoveTo(cx, cy, dr, w, h, r0, r1, ac, dir, xx, yy);
+			}
+		};
+	};
+
 
 	/**
 	 * エッジ生成関数
@@ -1060,6 +1119,77 @@ const PATH = (function () {
 		}
 	};
 
+	/**
+	 * 折れ線の長さを求める
+	 * @param {number[][]} ps 点の配列
+	 * @return {number} 長さ
+	 */
+	const polylineLength = function (ps) {
+		let span = 0;
+		for (let i = 1; i < ps.length; i += 1) {
+			span += lenOf(ps[i - 1][0], ps[i - 1][1], ps[i][0], ps[i][1]);
+		}
+		return span;
+	};
+
+	/**
+	 * 折れ線上の、始点からの長さの場所と方向を求める
+	 * @param {number[][]} ps 点の配列
+	 * @param {number} dist 始点からの長さ
+	 * @return {number[]|null} x座標、y座標、方向（範囲の外ならnull）
+	 */
+	const pointAtLength = function (ps, dist) {
+		if (dist < 0) return null;
+		let span = 0;
+		for (let i = 1; i < ps.length; i += 1) {
+			const [x0, y0] = ps[i - 1], [x1, y1] = ps[i];
+			const l = lenOf(x0, y0, x1, y1);
+			if (dist <= span + l && 0 < l) {
+				const t = (dist - span) / l;
+				return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, degOf(x0, y0, x1, y1)];
+			}
+			span += l;
+		}
+		return null;
+	};
+
+	/**
+	 * 閉じた折れ線の内側を埋めるハッチングの線分を求める
+	 * - 線は原点を通る向きdegの直線から、間隔の半分ずらした所から並ぶ（STYLE.Fillのハッチングと同じ場所）
+	 * @param {number[][]} ps 点の配列（最後の点と最初の点はつながっているとみなす）
+	 * @param {number} deg 線の向き
+	 * @param {number} spacing 線の間隔
+	 * @return {number[][][]} 線分（始点と終点の配列）の配列
+	 */
+	const hatchLines = function (ps, deg, spacing) {
+		if (ps.length < 3 || !(0 < spacing)) return [];
+		const r = deg * Math.PI / 180, c = Math.cos(r), s = Math.sin(r);
+		// 線が横向きになるように回す
+		const qs = ps.map(([x, y]) => [x * c + y * s, -x * s + y * c]);
+		let minY = Infinity, maxY = -Infinity;
+		for (const q of qs) {
+			minY = Math.min(minY, q[1]);
+			maxY = Math.max(maxY, q[1]);
+		}
+		const ret = [];
+		for (let k = Math.ceil(minY / spacing - 0.5); (k + 0.5) * spacing <= maxY; k += 1) {
+			const y = (k + 0.5) * spacing;
+			const xs = [];
+			for (let i = 0, I = qs.length; i < I; i += 1) {
+				const [x0, y0] = qs[i], [x1, y1] = qs[(i + 1) % I];
+				if ((y0 <= y) === (y1 <= y)) continue;
+				xs.push(x0 + (x1 - x0) * (y - y0) / (y1 - y0));
+			}
+			xs.sort((a, b) => a - b);
+			for (let i = 0; i + 1 < xs.length; i += 2) {
+				if (xs[i + 1] - xs[i] < E) continue;
+				// 元の向きに戻す
+				ret.push([[xs[i] * c - y * s, xs[i] * s + y * c], [xs[i + 1] * c - y * s, xs[i + 1] * s + y * c]]);
+			}
+		}
+		return ret;
+	};
+
 
 	// ライブラリを作る --------------------------------------------------------
 
@@ -1067,6 +1197,7 @@ const PATH = (function () {
 	return {
 		Liner,
 		makeDefaultHandler,
+		makeRecordingHandler,
 
 		normalEdge,
 		sineEdge,
@@ -1079,6 +1210,9 @@ const PATH = (function () {
 
 		arrangeArcParams,
 		eclipse,
+		polylineLength,
+		pointAtLength,
+		hatchLines,
 	};
 
 }());
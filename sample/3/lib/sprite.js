@@ -5,7 +5,7 @@
  * 好きな場所に好きな大きさ、向き、透明度で表示するためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-02-06
+ * @version 2026-10-19
  */
 
 
@@ -20,6 +20,11 @@ const SPRITE = (function () {
 	// ライブラリ中だけで使用するユーティリティ --------------------------------
 
 
+	/**
+	 * 物理モーションの接触を解消するくり返しの回数
+	 */
+	const CONTACT_ITERATION = 8;
+
 	/**
 	 * 角度を0～360度の範囲にする
 	 * @param {number} deg 角度
@@ -67,6 +72,341 @@ const SPRITE = (function () {
 		}
 	};
 
+	/**
+	 * ベクトルの大きさを最大値までにおさめる
+	 * @param {number} x x成分
+	 * @param {number} y y成分
+	 * @param {number} max 最大値
+	 * @return {number[]} ベクトル
+	 */
+	const limit = function (x, y, max) {
+		const d2 = x * x + y * y;
+		if (d2 <= max * max) return [x, y];
+		const d = Math.sqrt(d2);
+		return [x / d * max, y / d * max];
+	};
+
+	/**
+	 * 点の配列を囲む、原点を中心とする円の半径を求める
+	 * @param {number[][]} ps 点の配列
+	 * @return {number} 半径
+	 */
+	const boundingRadius = function (ps) {
+		let r2 = 0;
+		for (const [x, y] of ps) r2 = Math.max(r2, x * x + y * y);
+		return Math.sqrt(r2);
+	};
+
+	/**
+	 * 多角形の重心を求める（面積がないときは点の平均）
+	 * @param {number[][]} ps 点の配列
+	 * @return {number[]} 重心
+	 */
+	const centroidOf = function (ps) {
+		let a = 0, cx = 0, cy = 0;
+		for (let i = 0, I = ps.length; i < I; i += 1) {
+			const [x0, y0] = ps[i], [x1, y1] = ps[(i + 1) % I];
+			const c = x0 * y1 - x1 * y0;
+			a += c;
+			cx += (x0 + x1) * c;
+			cy += (y0 + y1) * c;
+		}
+		if (Math.abs(a) < 0.0000001) {
+			return [ps.reduce((s, p) => s + p[0], 0) / ps.length, ps.reduce((s, p) => s + p[1], 0) / ps.length];
+		}
+		return [cx / (3 * a), cy / (3 * a)];
+	};
+
+	/**
+	 * 3つの点の外積（向き）を求める
+	 * @param {number[]} a 点1
+	 * @param {number[]} b 点2
+	 * @param {number[]} c 点3
+	 * @return {number} 外積
+	 */
+	const crossOf = function ([ax, ay], [bx, by], [cx, cy]) {
+		return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+	};
+
+	/**
+	 * 点が三角形の中（辺の上も含む）にあるか？
+	 * @param {number[]} p 点
+	 * @param {number[]} a 三角形の点1
+	 * @param {number[]} b 三角形の点2
+	 * @param {number[]} c 三角形の点3
+	 * @return {boolean} 中にあるかどうか
+	 */
+	const isInTriangle = function (p, a, b, c) {
+		const d0 = crossOf(a, b, p), d1 = crossOf(b, c, p), d2 = crossOf(c, a, p);
+		return !((d0 < 0 || d1 < 0 || d2 < 0) && (0 < d0 || 0 < d1 || 0 < d2));
+	};
+
+	/**
+	 * 多角形を凸多角形に分ける（凸ならそのまま、へこみがあれば耳切り法で三角形に分ける）
+	 * @param {number[][]} ps 点の配列
+	 * @return {number[][][]} 凸多角形の配列
+	 */
+	const convexPiecesOf = function (ps) {
+		let area = 0, pos = 0, neg = 0;
+		for (let i = 0, I = ps.length; i < I; i += 1) {
+			const c = crossOf(ps[i], ps[(i + 1) % I], ps[(i + 2) % I]);
+			if (0 < c) pos += 1;
+			if (c < 0) neg += 1;
+			area += ps[i][0] * ps[(i + 1) % I][1] - ps[(i + 1) % I][0] * ps[i][1];
+		}
+		if (pos === 0 || neg === 0) return [ps];
+
+		const s = (area < 0) ? -1 : 1;
+		const is = [...ps.keys()], ret = [];
+		while (3 < is.length) {
+			let found = false;
+			for (let i = 0, I = is.length; i < I; i += 1) {
+				const a = ps[is[(i + I - 1) % I]], b = ps[is[i]], c = ps[is[(i + 1) % I]];
+				if (s * crossOf(a, b, c) <= 0) continue;  // へこんだ角は耳ではない
+				if (is.some(j => ![a, b, c].includes(ps[j]) && isInTriangle(ps[j], a, b, c))) continue;
+				ret.push([a, b, c]);
+				is.splice(i, 1);
+				found = true;
+				break;
+			}
+			if (!found) break;  // 辺が交差しているなど、分けられないとき
+		}
+		ret.push(is.map(i => ps[i]));
+		return ret;
+	};
+
+	/**
+	 * 箱の4つの角を求める
+	 * @param {number} w 横幅
+	 * @param {number} h たて幅
+	 * @param {number} l 左
+	 * @param {number} t 上
+	 * @return {number[][]} 点の配列
+	 */
+	const boxCornersOf = function (w, h, l, t) {
+		return [[l, t], [l + w, t], [l + w, t + h], [l, t + h]];
+	};
+
+	/**
+	 * スプライトの原点からの座標を、親ステージの座標にする
+	 * - スケール、方向（fixedHeadingでないとき）、angleを反映する（angleX、angleZは反映しない）
+	 * @param {Sprite} c スプライト
+	 * @param {number[][]} ps 点の配列
+	 * @return {number[][]} 点の配列
+	 */
+	const toParent = function (c, ps) {
+		const r = ((c._isFixedHeading ? 0 : c._dir) + c._angle) * Math.PI / 180;
+		const sin = Math.sin(r), cos = Math.cos(r);
+		const [sx, sy] = Array.isArray(c._scale) ? c._scale : [c._scale, c._scale];
+		return ps.map(([x, y]) => {
+			x *= sx;
+			y *= sy;
+			return [c._x + x * cos - y * sin, c._y + x * sin + y * cos];
+		});
+	};
+
+	/**
+	 * スプライトの衝突判定の形を、親ステージの座標で求める
+	 * - collisionShapeで設定した形、衝突判定用の多角形、スプライトの種類に合った形の順に使う
+	 * - 円は中心と半径（circle）、それ以外は凸多角形の配列（pieces）で表し、原点を中心として囲む円（bound）も求める
+	 * - 設定しないときの円の半径は衝突半径のままとし、スケールを反映しない（衝突半径は親ステージでの長さ）
+	 * @param {Sprite} c スプライト
+	 * @return {object} 形
+	 */
+	const shapeOf = function (c) {
+		if (c._collisionShape === null && !c._collisionPolygon && !(c instanceof Rect)) {
+			const r = c._collisionRadius;
+			return { circle: [c._x, c._y, r], pieces: null, bound: [c._x, c._y, r] };
+		}
+		let type, ps;
+		if (c._collisionShape !== null) {
+			[type, ps] = [c._collisionShape.type, c._collisionShape.local];
+		} else if (c._collisionPolygon) {
+			[type, ps] = ['polygon', c._collisionPieces];
+		} else {
+			[type, ps] = ['obb', [boxCornersOf(c._width, c._height, 0, 0)]];
+		}
+		if (type === 'circle') {
+			const [sx, sy] = Array.isArray(c._scale) ? c._scale : [c._scale, c._scale];
+			const [[x, y]] = toParent(c, [ps]);
+			const r = ps[2] * Math.max(Math.abs(sx), Math.abs(sy));
+			return { circle: [x, y, r], pieces: null, bound: [c._x, c._y, Math.hypot(x - c._x, y - c._y) + r] };
+		}
+		let pieces = ps.map(p => toParent(c, p));
+		if (type === 'aabb') {
+			const xs = pieces[0].map(p => p[0]), ys = pieces[0].map(p => p[1]);
+			const l = Math.min(...xs), t = Math.min(...ys);
+			pieces = [boxCornersOf(Math.max(...xs) - l, Math.max(...ys) - t, l, t)];
+		}
+		let r2 = 0;
+		for (const p of pieces) {
+			for (const [x, y] of p) r2 = Math.max(r2, (x - c._x) * (x - c._x) + (y - c._y) * (y - c._y));
+		}
+		return { circle: null, pieces, bound: [c._x, c._y, Math.sqrt(r2)] };
+	};
+
+	/**
+	 * 衝突判定の形を囲む円を、形の真ん中を中心として求める（原点が形の外にあるときでも小さな円になる）
+	 * @param {object} s 形
+	 * @return {number[]} 中心のx座標、y座標、半径
+	 */
+	const enclosingCircleOf = function (s) {
+		if (s.circle) return s.circle;
+		const ps = [].concat(...s.pieces);
+		const xs = ps.map(p => p[0]), ys = ps.map(p => p[1]);
+		const cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+		return [cx, cy, boundingRadius(ps.map(([x, y]) => [x - cx, y - cy]))];
+	};
+
+	/**
+	 * 点の配列を軸に投影した範囲を求める
+	 * @param {number[][]} ps 点の配列
+	 * @param {number} nx 軸のx成分
+	 * @param {number} ny 軸のy成分
+	 * @return {number[]} 最小と最大
+	 */
+	const projectionOf = function (ps, nx, ny) {
+		let min = Infinity, max = -Infinity;
+		for (const [x, y] of ps) {
+			const d = x * nx + y * ny;
+			if (d < min) min = d;
+			if (max < d) max = d;
+		}
+		return [min, max];
+	};
+
+	/**
+	 * 凸多角形の辺の法線（分離軸の候補）を求める
+	 * @param {number[][]} ps 点の配列
+	 * @return {number[][]} 単位ベクトルの配列
+	 */
+	const edgeNormalsOf = function (ps) {
+		const ret = [];
+		for (let i = 0, I = ps.length; i < I; i += 1) {
+			const dx = ps[(i + 1) % I][0] - ps[i][0], dy = ps[(i + 1) % I][1] - ps[i][1];
+			const len = Math.sqrt(dx * dx + dy * dy);
+			if (0 < len) ret.push([dy / len, -dx / len]);
+		}
+		return ret;
+	};
+
+	/**
+	 * 分離軸定理で2つの凸な形の接触を求める
+	 * - 軸ごとに、形2を軸のプラスとマイナスのどちらに動かすと早く抜け出せるかを調べ、一番短い軸を選ぶ
+	 * @param {number[][]} axes 分離軸の候補
+	 * @param {function(number, number):number[]} proj0 形1を軸に投影する関数
+	 * @param {function(number, number):number[]} proj1 形2を軸に投影する関数
+	 * @return {?number[]} 形1から形2に向かう法線のx成分、y成分、めり込みの深さ（接触していなければnull）
+	 */
+	const separatingAxisContact = function (axes, proj0, proj1) {
+		let depth = Infinity, nx = 0, ny = 0;
+		for (const [ax, ay] of axes) {
+			const [min0, max0] = proj0(ax, ay), [min1, max1] = proj1(ax, ay);
+			const dp = max0 - min1, dn = max1 - min0;
+			if (dp < 0 || dn < 0) return null;  // 分離軸が見つかった
+			if (dp < depth) [depth, nx, ny] = [dp, ax, ay];
+			if (dn < depth) [depth, nx, ny] = [dn, -ax, -ay];
+		}
+		return [nx, ny, depth];
+	};
+
+	/**
+	 * 2つの円の接触を求める
+	 * @param {number[]} a 円1の中心のx座標、y座標、半径
+	 * @param {number[]} b 円2の中心のx座標、y座標、半径
+	 * @return {?number[]} 円1から円2に向かう法線のx成分、y成分、めり込みの深さ（接触していなければnull）
+	 */
+	const circlesContact = function ([x0, y0, r0], [x1, y1, r1]) {
+		const dx = x1 - x0, dy = y1 - y0, r = r0 + r1;
+		const d2 = dx * dx + dy * dy;
+		if (r * r < d2) return null;
+		const d = Math.sqrt(d2);
+		return (d === 0) ? [1, 0, r] : [dx / d, dy / d, r - d];
+	};
+
+	/**
+	 * 円と凸多角形の接触を求める
+	 * @param {number[]} cir 円の中心のx座標、y座標、半径
+	 * @param {number[][]} ps 凸多角形の点の配列
+	 * @return {?number[]} 円から多角形に向かう法線のx成分、y成分、めり込みの深さ（接触していなければnull）
+	 */
+	const circlePolygonContact = function ([x, y, r], ps) {
+		// 円の中心に一番近い頂点の方向も分離軸の候補にする
+		let vx = 0, vy = 0, min = Infinity;
+		for (const [px, py] of ps) {
+			const d2 = (px - x) * (px - x) + (py - y) * (py - y);
+			if (d2 < min) [min, vx, vy] = [d2, px - x, py - y];
+		}
+		const axes = edgeNormalsOf(ps);
+		if (0 < min) axes.push([vx / Math.sqrt(min), vy / Math.sqrt(min)]);
+		const projC = (nx, ny) => [x * nx + y * ny - r, x * nx + y * ny + r];
+		const projP = (nx, ny) => projectionOf(ps, nx, ny);
+		return separatingAxisContact(axes, projC, projP);
+	};
+
+	/**
+	 * 2つの凸多角形の接触を求める
+	 * @param {number[][]} ps0 凸多角形1の点の配列
+	 * @param {number[][]} ps1 凸多角形2の点の配列
+	 * @return {?number[]} 多角形1から多角形2に向かう法線のx成分、y成分、めり込みの深さ（接触していなければnull）
+	 */
+	const polygonsContact = function (ps0, ps1) {
+		const axes = [...edgeNormalsOf(ps0), ...edgeNormalsOf(ps1)];
+		const proj0 = (nx, ny) => projectionOf(ps0, nx, ny);
+		const proj1 = (nx, ny) => projectionOf(ps1, nx, ny);
+		return separatingAxisContact(axes, proj0, proj1);
+	};
+
+	/**
+	 * 2つの衝突判定の形の接触を求める
+	 * - 凸多角形に分けた形は、一番深くめり込んでいる組み合わせを使う
+	 * @param {object} s0 形1
+	 * @param {object} s1 形2
+	 * @return {?number[]} 形1から形2に向かう法線のx成分、y成分、めり込みの深さ（接触していなければnull）
+	 */
+	const shapesContact = function (s0, s1) {
+		// 囲む円が離れていれば接触していない
+		if (circlesContact(s0.bound, s1.bound) === null) return null;
+		if (s0.circle && s1.circle) return circlesContact(s0.circle, s1.circle);
+
+		let ret = null;
+		for (const p0 of (s0.pieces || [null])) {
+			for (const p1 of (s1.pieces || [null])) {
+				let ct;
+				if (p0 === null) {
+					ct = circlePolygonContact(s0.circle, p1);
+				} else if (p1 === null) {
+					ct = circlePolygonContact(s1.circle, p0);
+					if (ct) ct = [-ct[0], -ct[1], ct[2]];
+				} else {
+					ct = polygonsContact(p0, p1);
+				}
+				if (ct && (ret === null || ret[2] < ct[2])) ret = ct;
+			}
+		}
+		return ret;
+	};
+
+
+	/**
+	 * 2つのスプライトのレイヤーとマスクが、お互いに衝突する組み合わせか？
+	 * @param {Sprite} c0 スプライト1
+	 * @param {Sprite} c1 スプライト2
+	 * @return {boolean} 衝突する組み合わせかどうか
+	 */
+	const isLayerMatched = function (c0, c1) {
+		return (c0._collisionLayer & c1._collisionMask) !== 0 && (c1._collisionLayer & c0._collisionMask) !== 0;
+	};
+
+	/**
+	 * スプライトが衝突イベントに対応する関数を持っているか？
+	 * @param {Sprite} c スプライト
+	 * @return {boolean} 持っているかどうか
+	 */
+	const hasCollisionHandler = function (c) {
+		return Boolean(c._onCollision || c._onCollisionEnter || c._onCollisionStay || c._onCollisionExit);
+	};
+
 
 	/**
 	 * 要素（スプライト・ステージ共通）
@@ -114,6 +454,7 @@ const SPRITE = (function () {
 		x(val) {
 			if (val === undefined) return this._x;
 			this._x = val;
+			this._moved();
 			return this;
 		}
 
@@ -125,6 +466,7 @@ const SPRITE = (function () {
 		y(val) {
 			if (val === undefined) return this._y;
 			this._y = val;
+			this._moved();
 			return this;
 		}
 
@@ -150,6 +492,7 @@ const SPRITE = (function () {
 			this._x = x;
 			this._y = y;
 			if (opt_dir !== undefined) this._dir = checkDegRange(opt_dir);
+			this._moved();
 			return this;
 		}
 
@@ -161,6 +504,7 @@ const SPRITE = (function () {
 		scale(val) {
 			if (val === undefined) return this._scale;
 			this._scale = val;
+			this._moved(true);
 			return this;
 		}
 
@@ -358,6 +702,7 @@ const SPRITE = (function () {
 			}
 			if (this._checkRangeX !== null) this._x = this._checkRangeX(this._x);
 			if (this._checkRangeY !== null) this._y = this._checkRangeY(this._y);
+			this._moved();
 
 			if (this._observers) {
 				for (const o of this._observers) {
@@ -371,13 +716,22 @@ const SPRITE = (function () {
 			this._firstUpdated = true;
 		}
 
+		/**
+		 * 場所か衝突判定の形が変わったことを親のステージに知らせる（ライブラリ内だけで使用）
+		 * @private
+		 * @param {boolean=} [isReshaped=false] 衝突判定の形が変わったか
+		 */
+		_moved(isReshaped = false) {
+			if (this._parent !== null) this._parent._childMoved(this, isReshaped);
+		}
+
 	}
 
 
 	/**
 	 * スプライト
 	 * @extends {Element}
-	 * @version 2021-07-30
+	 * @version 2026-10-19
 	 */
 	class Sprite extends Element {
 
@@ -392,7 +746,15 @@ const SPRITE = (function () {
 			super(motion, rotation);
 			this._drawingCallback = drawingCallback;
 			this._collisionRadius = 1;
+			this._collisionPolygon = null;
+			this._collisionPieces = null;
+			this._collisionShape = null;
+			this._collisionLayer = 1;
+			this._collisionMask = 0xffffffff;
 			this._onCollision = null;
+			this._onCollisionEnter = null;
+			this._onCollisionStay = null;
+			this._onCollisionExit = null;
 		}
 
 		/**
@@ -417,13 +779,80 @@ const SPRITE = (function () {
 		collisionRadius(val) {
 			if (val === undefined) return this._collisionRadius;
 			this._collisionRadius = val;
+			this._moved(true);
+			return this;
+		}
+
+		/**
+		 * 衝突判定に使う多角形
+		 * - 設定すると、衝突半径の円の代わりに使う（衝突半径は多角形を囲む円の半径になる）
+		 * - 点はスプライトの原点からの座標で、スケールと向きに合わせて回る
+		 * @param {?number[][]=} val 点の配列（nullなら衝突半径の円を使う）
+		 * @return {number[][]|Sprite} 点の配列／このスプライト
+		 */
+		collisionPolygon(val) {
+			if (val === undefined) return this._collisionPolygon;
+			if (val === null) {
+				this._collisionPolygon = null;
+				this._collisionPieces = null;
+			} else {
+				this._collisionPolygon = val.map(p => [p[0], p[1]]);
+				this._collisionPieces = convexPiecesOf(this._collisionPolygon);
+				this._collisionRadius = boundingRadius(this._collisionPolygon);
+			}
+			this._moved(true);
+			return this;
+		}
+
+		/**
+		 * 衝突判定の形
+		 * - 'circle'：円（半径、中心のx座標、y座標）半径を省くと衝突半径を使う
+		 * - 'aabb'：軸にそろった箱（横幅、たて幅、左、上）回ると、回った箱を囲む大きさになる
+		 * - 'obb'：向きのある箱（横幅、たて幅、左、上）スプライトといっしょに回る
+		 * - 'polygon'：凸多角形（点の配列）へこみがあるときは三角形に分けて調べる
+		 * - 箱の左と上を省くと、原点が箱の中心になる
+		 * - どの形もスプライトの原点からの座標で、スケール、方向（fixedHeadingでないとき）、angleに合わせる
+		 * - 設定しないときは、衝突判定用の多角形、四角形スプライトならその四角形（'obb'）、それ以外は衝突半径の円を使う
+		 *   （衝突半径の円は、これまでどおりスケールに合わせない）
+		 * @param {?string=} type 種類（nullなら設定しないときの形にもどす）
+		 * @param {...*} params 形のパラメター
+		 * @return {?Array|Sprite} 種類とパラメターの配列／このスプライト
+		 */
+		collisionShape(type, ...params) {
+			if (type === undefined) return this._collisionShape && [this._collisionShape.type, ...this._collisionShape.params];
+			if (type === null) {
+				this._collisionShape = null;
+				this._moved(true);
+				return this;
+			}
+			let local;
+			switch (type) {
+				case 'circle': {
+					const [r = this._collisionRadius, cx = 0, cy = 0] = params;
+					local = [cx, cy, r];
+					break;
+				}
+				case 'aabb': case 'obb': {
+					const [w, h, l = -w / 2, t = -h / 2] = params;
+					local = [boxCornersOf(w, h, l, t)];
+					break;
+				}
+				case 'polygon':
+					local = convexPiecesOf(params[0].map(p => [p[0], p[1]]));
+					break;
+				default:
+					throw new Error(`SPRITE::collisionShape: 「${type}」という形はありません。`);
+			}
+			this._collisionShape = { type, params, local };
+			this._moved(true);
 			return this;
 		}
 
 		/**
 		 * 衝突イベントに対応する関数をセットする
-		 * @param {function(Sprite, Sprite):void=} handler 関数
-		 * @return {function(Sprite, Sprite):void|Sprite=} 半径／このスプライト
+		 * - 関数は、このスプライト、相手のスプライト、相手に向かう接触の法線（単位ベクトル）、めり込みの深さを受け取る
+		 * @param {function(Sprite, Sprite, number[], number):void=} handler 関数
+		 * @return {function(Sprite, Sprite, number[], number):void|Sprite=} 関数／このスプライト
 		 */
 		onCollision(handler) {
 			if (handler === undefined) return this._onCollision;
@@ -431,6 +860,67 @@ const SPRITE = (function () {
 			return this;
 		}
 
+		/**
+		 * 衝突レイヤー（このスプライトが属するグループをビットで表した数）
+		 * - 1、2、4、8のように、2のべき乗の数をグループに割り当てる
+		 * @param {number=} val 値
+		 * @return {number|Sprite} 値／このスプライト
+		 */
+		collisionLayer(val) {
+			if (val === undefined) return this._collisionLayer;
+			this._collisionLayer = val;
+			return this;
+		}
+
+		/**
+		 * 衝突マスク（ぶつかる相手のレイヤーをビットで表した数）
+		 * - お互いのマスクに相手のレイヤーが含まれているときだけ衝突する（物理モーションの接触も同じ）
+		 * - 例えば、レイヤー1でマスク1のスプライトどうしはぶつかるが、レイヤー2のスプライトとはぶつからない
+		 * @param {number=} val 値（最初は全てのレイヤー）
+		 * @return {number|Sprite} 値／このスプライト
+		 */
+		collisionMask(val) {
+			if (val === undefined) return this._collisionMask;
+			this._collisionMask = val;
+			return this;
+		}
+
+		/**
+		 * 衝突し始めたときのイベントに対応する関数をセットする
+		 * - 関数は、このスプライト、相手のスプライト、相手に向かう接触の法線（単位ベクトル）、めり込みの深さを受け取る
+		 * @param {function(Sprite, Sprite, number[], number):void=} handler 関数
+		 * @return {function(Sprite, Sprite, number[], number):void|Sprite=} 関数／このスプライト
+		 */
+		onCollisionEnter(handler) {
+			if (handler === undefined) return this._onCollisionEnter;
+			this._onCollisionEnter = handler;
+			return this;
+		}
+
+		/**
+		 * 衝突し続けているとき（2回目の更新から）のイベントに対応する関数をセットする
+		 * - 関数は、このスプライト、相手のスプライト、相手に向かう接触の法線（単位ベクトル）、めり込みの深さを受け取る
+		 * @param {function(Sprite, Sprite, number[], number):void=} handler 関数
+		 * @return {function(Sprite, Sprite, number[], number):void|Sprite=} 関数／このスプライト
+		 */
+		onCollisionStay(handler) {
+			if (handler === undefined) return this._onCollisionStay;
+			this._onCollisionStay = handler;
+			return this;
+		}
+
+		/**
+		 * 衝突が終わったときのイベントに対応する関数をセットする
+		 * - 関数は、このスプライトと相手のスプライトを受け取る
+		 * @param {function(Sprite, Sprite):void=} handler 関数
+		 * @return {function(Sprite, Sprite):void|Sprite=} 関数／このスプライト
+		 */
+		onCollisionExit(handler) {
+			if (handler === undefined) return this._onCollisionExit;
+			this._onCollisionExit = handler;
+			return this;
+		}
+
 	}
 
 
@@ -515,6 +1005,7 @@ const SPRITE = (function () {
 			if (val === undefined) return this._radius;
 			this._radius = val;
 			this._collisionRadius = val;
+			this._moved(true);
 			return this;
 		}
 
@@ -561,6 +1052,7 @@ const SPRITE = (function () {
 			if (val === undefined) return this._width;
 			this._width = val;
 			this._collisionRadius = Math.min(this._width, this._height);
+			this._moved(true);
 			return this;
 		}
 
@@ -573,6 +1065,7 @@ const SPRITE = (function () {
 			if (val === undefined) return this._height;
 			this._height = val;
 			this._collisionRadius = Math.min(this._width, this._height);
+			this._moved(true);
 			return this;
 		}
 
@@ -580,139 +1073,1016 @@ const SPRITE = (function () {
 
 
 	/**
-	 * ステージ
-	 * @extends {Element}
-	 * @version 2021-07-28
+	 * 多角形スプライト
+	 * - カメ（TURTLE.Turtle）から作ると、カメが最後にかいたパスを閉じた多角形にして、同じ線とぬりのスタイルでかく
+	 * - かいた形がそのまま衝突判定の形になる
+	 * @extends {SpriteShape}
+	 * @version 2026-10-19
 	 */
-	class Stage extends Element {
+	class Polygon extends SpriteShape {
 
 		/**
-		 * ステージを作る
+		 * 多角形スプライトを作る
 		 * @constructor
-		 * @param {Motion|function=} [motion=null] 動き
-		 * @param {Rotation|function=} [rotation=null] 回転
+		 * @param {number[][]|Turtle} shape 点の配列かカメ
+		 * @param {boolean=} [opt_center=true] 重心を原点にするか？（その場合、スプライトを重心の場所に置く）
 		 */
-		constructor(motion = null, rotation = null) {
-			super(motion, rotation);
-
-			this._children = [];
-
-			this._localizeOption = null;
-			this._localizedOffset = [0, 0, 0];
-
-			this._update(0);
+		constructor(shape, opt_center = true) {
+			super();
+			this._drawingCallback = this._draw.bind(this);
+			this._mode = 'fs';
+			this._points = null;
+
+			let ps = shape;
+			if (typeof shape.pathPoints === 'function') {
+				ps = shape.pathPoints();
+				this._ruler.stroke(shape.stroke());
+				this._ruler.fill(shape.fill());
+				this._mode = shape.mode();
+			}
+			if (opt_center) {
+				const [cx, cy] = centroidOf(ps);
+				ps = ps.map(([x, y]) => [x - cx, y - cy]);
+				this.moveTo(cx, cy);
+			}
+			this.points(ps);
 		}
 
 		/**
-		 * スプライトを作って加える
-		 * @param {function(*):void} drawFunction 絵をかく関数
-		 * @param {Motion|function=} [motion=null] 動き
-		 * @param {Rotation|function=} [rotation=null] 回転
-		 * @return {Sprite} スプライト
+		 * 多角形をかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
 		 */
-		makeSprite(drawFunction, motion = null, rotation = null) {
-			const s = new SPRITE.Sprite(drawFunction, motion, rotation);
-			this.add(s);
-			return s;
+		_draw(ctx) {
+			if (!this._ruler.context()) this._ruler.context(ctx);
+			const r = this._ruler, ps = this._points;
+			r.beginPath();
+			r.moveTo(...ps[0]);
+			for (let i = 1; i < ps.length; i += 1) r.lineTo(...ps[i]);
+			r.closePath();
+			r.draw(this._mode);
 		}
 
 		/**
-		 * ステージを作って加える
-		 * @return {Stage} ステージ
+		 * 点（衝突判定の形も変わる）
+		 * - 後で衝突判定の多角形を変えても（nullにしても）、かく形は変わらない
+		 * @param {number[][]=} val 点の配列
+		 * @return {number[][]|Polygon} 点の配列／このスプライト
 		 */
-		makeStage() {
-			const l = new SPRITE.Stage();
-			this.add(l);
-			return l;
+		points(val) {
+			if (val === undefined) return this._points.map(p => [...p]);
+			const ps = val.map(p => [p[0], p[1]]);
+			// 閉じたパスの最後の点（最初の点と同じ）は除く
+			if (1 < ps.length) {
+				const [x0, y0] = ps[0], [x1, y1] = ps[ps.length - 1];
+				if ((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0) < 0.01) ps.pop();
+			}
+			if (ps.length < 3) throw new Error('SPRITE::Polygon: 多角形には3つ以上の点が必要です。');
+			this._points = ps;
+			return this.collisionPolygon(ps);
 		}
 
 		/**
-		 * スプライトか子ステージを加える
-		 * @param {Element} child スプライトか子ステージ
+		 * かくモード
+		 * @param {string=} val 値（'fill'、'stroke'、'fs'など）
+		 * @return {string|Polygon} かくモード／このスプライト
 		 */
-		add(child) {
-			this._children.push(child);
-			child._parent = this;
+		mode(val) {
+			if (val === undefined) return this._mode;
+			this._mode = val;
+			return this;
 		}
 
+	}
+
+
+	/**
+	 * スプライト・シート（同じ大きさのコマを並べた画像）
+	 * - コマは左上から右へ、行が終わったら次の行へと数える
+	 * @version 2026-10-19
+	 */
+	class SpriteSheet {
+
 		/**
-		 * スプライトか子ステージを返す
-		 * @param {number} index 何番目か
-		 * @return {Element} スプライトか子ステージ
+		 * スプライト・シートを作る
+		 * @constructor
+		 * @param {HTMLImageElement|string} image 画像か画像のURL
+		 * @param {number=} opt_frameWidth コマの横幅（指定しなければ画像の横幅）
+		 * @param {number=} opt_frameHeight コマのたて幅（指定しなければ画像のたて幅）
+		 * @param {number=} opt_frameCount コマの数（指定しなければ画像に入るだけ）
 		 */
-		get(index) {
-			return this._children[index];
+		constructor(image, opt_frameWidth, opt_frameHeight, opt_frameCount) {
+			if (typeof image === 'string') {
+				if (typeof CROQUJS === 'undefined') throw new Error('Croqujsライブラリが必要です。');
+				image = CROQUJS.getImage(image);
+			}
+			this._image = image;
+			this._frameWidth = (opt_frameWidth === undefined) ? null : opt_frameWidth;
+			this._frameHeight = (opt_frameHeight === undefined) ? null : opt_frameHeight;
+			this._frameCount = (opt_frameCount === undefined) ? null : opt_frameCount;
 		}
 
 		/**
-		 * 何枚のスプライトか子ステージを持っているか、数を返す
-		 * @return {number} 数
+		 * 画像を読み込み終わったか
+		 * @return {boolean} 読み込み終わったか
 		 */
-		size() {
-			return this._children.length;
+		isReady() {
+			return this._image.complete && 0 < this._image.naturalWidth;
 		}
 
 		/**
-		 * 持っているスプライトと子ステージに対して処理をする
-		 * @param {function} callback 処理をする関数
-		 * @param {*} thisArg This引数
+		 * 画像
+		 * @return {HTMLImageElement} 画像
 		 */
-		forEach(callback, thisArg) {
-			for (let i = 0; i < this._children.length; i += 1) {
-				const c = this._children[i];
-				callback.call(thisArg, c, i, this);
-			}
+		image() {
+			return this._image;
 		}
 
 		/**
-		 * 指定したスプライトを固定して表示する
-		 * @param {Element} descendant スプライトかステージ
-		 * @param {boolean=} opt_stopRotation 回転を止めるか
+		 * コマの横幅
+		 * @return {number} コマの横幅
 		 */
-		localize(descendant, opt_stopRotation) {
-			this._localizeOption = [descendant, opt_stopRotation];
+		frameWidth() {
+			return (this._frameWidth === null) ? this._image.naturalWidth : this._frameWidth;
 		}
 
 		/**
-		 * 指定したスプライトを固定して表示する（ライブラリ内だけで使用）
-		 * @private
+		 * コマのたて幅
+		 * @return {number} コマのたて幅
 		 */
-		_localize() {
-			if (this._localizeOption) {
-				const [descendant, opt_stopRotation] = this._localizeOption;
-				const off = this._getPositionOnParent(descendant, 0, 0, 0, opt_stopRotation);
-				this._localizedOffset[0] = -off[0];
-				this._localizedOffset[1] = -off[1];
-				this._localizedOffset[2] = -off[2];
-			} else {
-				this._localizedOffset[0] = 0;
-				this._localizedOffset[1] = 0;
-				this._localizedOffset[2] = 0;
-			}
+		frameHeight() {
+			return (this._frameHeight === null) ? this._image.naturalHeight : this._frameHeight;
 		}
 
 		/**
-		 * このステージの原点の紙での場所を返す
-		 * @param {Element} descendant スプライトかステージ
-		 * @return {number[]} 場所
+		 * コマの数（画像を読み込み終わるまでは0）
+		 * @return {number} コマの数
 		 */
-		getPositionOnContext(descendant) {
-			let [x, y] = this._getPositionOnParent(descendant, 0, 0, 0);
-			x += this._localizedOffset[0];
-			y += this._localizedOffset[1];
+		frameCount() {
+			if (this._frameCount !== null) return this._frameCount;
+			if (!this.isReady()) return 0;
+			const cols = Math.floor(this._image.naturalWidth / this.frameWidth());
+			const rows = Math.floor(this._image.naturalHeight / this.frameHeight());
+			return cols * rows;
+		}
 
-			const r = this._localizedOffset[2] * Math.PI / 180;
-			const sin = Math.sin(r);
-			const cos = Math.cos(r);
-			const nx = (x * cos - y * sin);
-			const ny = (x * sin + y * cos);
-			return [nx, ny];
+		/**
+		 * コマの画像の中の範囲
+		 * @param {number} index コマの番号
+		 * @return {number[]} 範囲（左、上、横幅、たて幅）
+		 */
+		frame(index) {
+			const w = this.frameWidth(), h = this.frameHeight();
+			const cols = Math.max(1, Math.floor(this._image.naturalWidth / w));
+			return [(index % cols) * w, Math.floor(index / cols) * h, w, h];
 		}
 
 		/**
-		 * 持っているスプライトと子ステージを全てかく
+		 * コマをかく（コマの真ん中を原点に合わせる）
 		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
-		 * @param {Array=} args_array その他の引数の配列
+		 * @param {number} index コマの番号
+		 */
+		drawFrame(ctx, index) {
+			if (!this.isReady()) return;
+			const [sx, sy, w, h] = this.frame(index);
+			ctx.drawImage(this._image, sx, sy, w, h, -w / 2, -h / 2, w, h);
+		}
+
+	}
+
+
+	/**
+	 * 画像スプライト（スプライト・シートのコマをパラパラ漫画のように切り替える）
+	 * @extends {Sprite}
+	 * @version 2026-10-19
+	 */
+	class ImageSprite extends Sprite {
+
+		/**
+		 * 画像スプライトを作る
+		 * @constructor
+		 * @param {SpriteSheet|HTMLImageElement|string} sheet スプライト・シートか画像か画像のURL
+		 * @param {Motion|function=} [motion=null] 動き
+		 * @param {Rotation|function=} [rotation=null] 回転
+		 */
+		constructor(sheet, motion = null, rotation = null) {
+			super(null, motion, rotation);
+			if (!(sheet instanceof SpriteSheet)) sheet = new SpriteSheet(sheet);
+			this._sheet = sheet;
+			this._frames = null;
+			this._frameRate = 10;
+			this._frameTime = 0;
+			this._frameIndex = 0;
+			this._isLooping = true;
+			this._isPlaying = true;
+			this._isRadiusSet = false;
+		}
+
+		/**
+		 * スプライトをかく
+		 * @override
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 */
+		draw(ctx) {
+			if (!this._firstUpdated) this._update(0);
+
+			ctx.save();
+			this._setTransformation(ctx);
+			this._sheet.drawFrame(ctx, this.currentFrame());
+			ctx.restore();
+		}
+
+		/**
+		 * スピードに合わせて座標と角度を更新し、コマを進める（ライブラリ内だけで使用）
+		 * @override
+		 * @protected
+		 * @param {number} deltaTime 時間差（前回のフレームからの時間経過）[ms]
+		 */
+		_update(deltaTime) {
+			super._update(deltaTime);
+			if (!this._isRadiusSet && this._sheet.isReady()) {
+				this._collisionRadius = Math.min(this._sheet.frameWidth(), this._sheet.frameHeight()) / 2;
+				this._isRadiusSet = true;
+				this._moved(true);
+			}
+			const len = this._frameLength();
+			if (!this._isPlaying || len === 0) return;
+
+			this._frameTime += deltaTime;
+			const span = 1000 / this._frameRate;
+			while (span <= this._frameTime) {
+				this._frameTime -= span;
+				if (this._frameIndex + 1 < len) {
+					this._frameIndex += 1;
+				} else if (this._isLooping) {
+					this._frameIndex = 0;
+				} else {
+					this._isPlaying = false;
+					this._frameTime = 0;
+					break;
+				}
+			}
+		}
+
+		/**
+		 * 使うコマの数（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number} コマの数
+		 */
+		_frameLength() {
+			return (this._frames === null) ? this._sheet.frameCount() : this._frames.length;
+		}
+
+		/**
+		 * スプライト・シート
+		 * @param {SpriteSheet=} val スプライト・シート
+		 * @return {SpriteSheet|ImageSprite} スプライト・シート／このスプライト
+		 */
+		sheet(val) {
+			if (val === undefined) return this._sheet;
+			this._sheet = val;
+			this._frameIndex = 0;
+			this._frameTime = 0;
+			this._isRadiusSet = false;
+			return this;
+		}
+
+		/**
+		 * 使うコマの番号の並び（nullならシートのすべてのコマ）
+		 * @param {number[]=} val コマの番号の配列
+		 * @return {number[]|ImageSprite} コマの番号の配列／このスプライト
+		 */
+		frames(val) {
+			if (val === undefined) return this._frames;
+			this._frames = val;
+			this._frameIndex = 0;
+			this._frameTime = 0;
+			return this;
+		}
+
+		/**
+		 * フレーム・レート（1秒間に切り替えるコマ数）
+		 * @param {number=} val フレーム・レート
+		 * @return {number|ImageSprite} フレーム・レート／このスプライト
+		 */
+		frameRate(val) {
+			if (val === undefined) return this._frameRate;
+			this._frameRate = val;
+			return this;
+		}
+
+		/**
+		 * 今が並びの何番目か
+		 * @param {number=} val 何番目か
+		 * @return {number|ImageSprite} 何番目か／このスプライト
+		 */
+		frameIndex(val) {
+			if (val === undefined) return this._frameIndex;
+			this._frameIndex = val;
+			this._frameTime = 0;
+			return this;
+		}
+
+		/**
+		 * 今のコマの番号（シートの中の番号）
+		 * @return {number} コマの番号
+		 */
+		currentFrame() {
+			return (this._frames === null) ? this._frameIndex : this._frames[this._frameIndex];
+		}
+
+		/**
+		 * くり返すか
+		 * @param {boolean=} val くり返すか
+		 * @return {boolean|ImageSprite} くり返すか／このスプライト
+		 */
+		loop(val) {
+			if (val === undefined) return this._isLooping;
+			this._isLooping = val;
+			return this;
+		}
+
+		/**
+		 * コマを切り替え始める
+		 * @return {ImageSprite} このスプライト
+		 */
+		play() {
+			this._isPlaying = true;
+			return this;
+		}
+
+		/**
+		 * コマの切り替えを止める
+		 * @return {ImageSprite} このスプライト
+		 */
+		pause() {
+			this._isPlaying = false;
+			return this;
+		}
+
+		/**
+		 * コマを切り替えているか
+		 * @return {boolean} 切り替えているか
+		 */
+		isPlaying() {
+			return this._isPlaying;
+		}
+
+		/**
+		 * 衝突半径
+		 * @override
+		 * @param {number=} val 半径
+		 * @return {number|ImageSprite} 半径／このスプライト
+		 */
+		collisionRadius(val) {
+			if (val === undefined) return this._collisionRadius;
+			this._isRadiusSet = true;
+			return super.collisionRadius(val);
+		}
+
+	}
+
+
+	/**
+	 * 物理モーション（質量、速度、加速度、重力、空気抵抗、反発係数を持つ剛体の動き）
+	 * - スプライトのmotionにセットすると、ステージの更新のたびに速度と座標を計算する
+	 * - 同じステージの、物理モーションを持つスプライトどうしは、衝突判定の形がぶつかると離れて跳ね返る
+	 * - 固定した物理モーションを持つスプライトは、押されても動かない壁や床になる
+	 * - 速度などの状態を持つので、スプライトごとに別々に作る
+	 * @version 2026-10-19
+	 */
+	class PhysicsMotion {
+
+		/**
+		 * 物理モーションを作る
+		 * @constructor
+		 * @param {number=} [mass=1] 質量
+		 */
+		constructor(mass = 1) {
+			this._mass = mass;
+			this._vx = 0;
+			this._vy = 0;
+			this._ax = 0;
+			this._ay = 0;
+			this._gx = 0;
+			this._gy = 0;
+			this._fx = 0;
+			this._fy = 0;
+			this._drag = 0;
+			this._restitution = 0.5;
+			this._isFixed = false;
+		}
+
+		/**
+		 * 質量
+		 * @param {number=} val 値
+		 * @return {number|PhysicsMotion} 値／このモーション
+		 */
+		mass(val) {
+			if (val === undefined) return this._mass;
+			this._mass = val;
+			return this;
+		}
+
+		/**
+		 * 速度 [px/s]
+		 * @param {number=} vx 横方向の速度
+		 * @param {number=} vy たて方向の速度
+		 * @return {number[]|PhysicsMotion} 速度／このモーション
+		 */
+		velocity(vx, vy) {
+			if (vx === undefined) return [this._vx, this._vy];
+			this._vx = vx;
+			this._vy = vy;
+			return this;
+		}
+
+		/**
+		 * 加速度 [px/s^2]（重力とは別にいつも加わる）
+		 * @param {number=} ax 横方向の加速度
+		 * @param {number=} ay たて方向の加速度
+		 * @return {number[]|PhysicsMotion} 加速度／このモーション
+		 */
+		acceleration(ax, ay) {
+			if (ax === undefined) return [this._ax, this._ay];
+			this._ax = ax;
+			this._ay = ay;
+			return this;
+		}
+
+		/**
+		 * 重力加速度 [px/s^2]（下向きならたて方向をプラスにする）
+		 * @param {number=} gx 横方向の重力加速度
+		 * @param {number=} gy たて方向の重力加速度
+		 * @return {number[]|PhysicsMotion} 重力加速度／このモーション
+		 */
+		gravity(gx, gy) {
+			if (gx === undefined) return [this._gx, this._gy];
+			this._gx = gx;
+			this._gy = gy;
+			return this;
+		}
+
+		/**
+		 * 空気抵抗（1秒あたりに速度が減る割合の係数、0なら減らない）
+		 * @param {number=} val 値
+		 * @return {number|PhysicsMotion} 値／このモーション
+		 */
+		drag(val) {
+			if (val === undefined) return this._drag;
+			this._drag = val;
+			return this;
+		}
+
+		/**
+		 * 反発係数（0なら跳ね返らず、1なら同じ速さで跳ね返る）
+		 * - ぶつかった2つのうち、大きい方の値を使う
+		 * @param {number=} val 値
+		 * @return {number|PhysicsMotion} 値／このモーション
+		 */
+		restitution(val) {
+			if (val === undefined) return this._restitution;
+			this._restitution = val;
+			return this;
+		}
+
+		/**
+		 * 固定されているか（固定すると、重力や力、衝突では動かず、速度だけで動く）
+		 * @param {boolean=} val 値
+		 * @return {boolean|PhysicsMotion} 値／このモーション
+		 */
+		fixed(val) {
+			if (val === undefined) return this._isFixed;
+			this._isFixed = val;
+			return this;
+		}
+
+		/**
+		 * 力を加える（次の更新の間だけ加わる）
+		 * @param {number} fx 横方向の力
+		 * @param {number} fy たて方向の力
+		 * @return {PhysicsMotion} このモーション
+		 */
+		applyForce(fx, fy) {
+			this._fx += fx;
+			this._fy += fy;
+			return this;
+		}
+
+		/**
+		 * 力積を加える（すぐに速度が変わる）
+		 * @param {number} ix 横方向の力積
+		 * @param {number} iy たて方向の力積
+		 * @return {PhysicsMotion} このモーション
+		 */
+		applyImpulse(ix, iy) {
+			const im = this._inverseMass();
+			this._vx += ix * im;
+			this._vy += iy * im;
+			return this;
+		}
+
+		/**
+		 * 質量の逆数を返す（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number} 質量の逆数（固定されているときは0）
+		 */
+		_inverseMass() {
+			return (this._isFixed || this._mass === Infinity) ? 0 : 1 / this._mass;
+		}
+
+		/**
+		 * 速度と座標を更新する
+		 * @param {number} unitTime 単位時間 [ms]
+		 * @param {number} x x座標（横の場所）
+		 * @param {number} y y座標（たての場所）
+		 * @param {number} dir 方向
+		 * @return {number[]} 座標
+		 */
+		update(unitTime, x, y, dir) {
+			const t = unitTime / 1000;
+			if (!this._isFixed) {
+				const im = this._inverseMass();
+				this._vx += (this._ax + this._gx + this._fx * im) * t;
+				this._vy += (this._ay + this._gy + this._fy * im) * t;
+				if (this._drag !== 0) {
+					const k = Math.exp(-this._drag * t);
+					this._vx *= k;
+					this._vy *= k;
+				}
+			}
+			this._fx = this._fy = 0;
+			return [x + this._vx * t, y + this._vy * t, dir];
+		}
+
+	}
+
+
+	/**
+	 * 操舵モーション（ボイドのように、いくつかの振る舞いを重みをつけて合わせた動き）
+	 * - 目標に向かう（seek）、目標から逃げる（flee）、目標で止まる（arrive）、うろつく（wander）、
+	 *   仲間と離れる（separation）、仲間と向きをそろえる（alignment）、仲間に集まる（cohesion）、障害物をよける（avoidance）を合わせる
+	 * - 仲間（操舵モーションを持つスプライト）はステージのneighborsで近くにあるものを探し、障害物はステージの全てのスプライトから探す
+	 * - 向きは進む方向になる
+	 * - 速度などの状態を持つので、スプライトごとに別々に作る
+	 * @version 2026-10-19
+	 */
+	class SteeringMotion {
+
+		/**
+		 * 操舵モーションを作る
+		 * @constructor
+		 * @param {Stage=} [opt_stage=null] 仲間と障害物を探すステージ
+		 */
+		constructor(opt_stage = null) {
+			this._stage    = opt_stage;
+			this._maxSpeed = 100;
+			this._maxForce = 200;
+			this._vx = 0;
+			this._vy = 0;
+
+			this._seek       = null;
+			this._flee       = null;
+			this._arrive     = null;
+			this._wander     = null;
+			this._separation = null;
+			this._alignment  = null;
+			this._cohesion   = null;
+			this._avoidance  = null;
+			this._wanderDeg  = 0;
+		}
+
+		/**
+		 * 仲間と障害物を探すステージ
+		 * @param {Stage=} val ステージ
+		 * @return {Stage|SteeringMotion} ステージ／このモーション
+		 */
+		stage(val) {
+			if (val === undefined) return this._stage;
+			this._stage = val;
+			return this;
+		}
+
+		/**
+		 * 最高速度 [px/s]
+		 * @param {number=} val 値
+		 * @return {number|SteeringMotion} 値／このモーション
+		 */
+		maxSpeed(val) {
+			if (val === undefined) return this._maxSpeed;
+			this._maxSpeed = val;
+			return this;
+		}
+
+		/**
+		 * 最大の操舵力（1秒あたりに変えられる速度の大きさ）[px/s^2]
+		 * @param {number=} val 値
+		 * @return {number|SteeringMotion} 値／このモーション
+		 */
+		maxForce(val) {
+			if (val === undefined) return this._maxForce;
+			this._maxForce = val;
+			return this;
+		}
+
+		/**
+		 * 速度 [px/s]
+		 * @param {number=} vx 横方向の速度
+		 * @param {number=} vy たて方向の速度
+		 * @return {number[]|SteeringMotion} 速度／このモーション
+		 */
+		velocity(vx, vy) {
+			if (vx === undefined) return [this._vx, this._vy];
+			this._vx = vx;
+			this._vy = vy;
+			return this;
+		}
+
+		/**
+		 * 目標に向かう
+		 * @param {?Element|number[]} target 目標（要素か座標、nullならやめる）
+		 * @param {number=} [weight=1] 重み
+		 * @return {SteeringMotion} このモーション
+		 */
+		seek(target, weight = 1) {
+			this._seek = (target === null) ? null : { target, weight };
+			return this;
+		}
+
+		/**
+		 * 目標から逃げる
+		 * @param {?Element|number[]} target 目標（要素か座標、nullならやめる）
+		 * @param {number=} [weight=1] 重み
+		 * @param {number=} [radius=Infinity] この距離より近いときだけ逃げる
+		 * @return {SteeringMotion} このモーション
+		 */
+		flee(target, weight = 1, radius = Infinity) {
+			this._flee = (target === null) ? null : { target, weight, radius };
+			return this;
+		}
+
+		/**
+		 * 目標に向かい、近づいたら速度を落として止まる
+		 * @param {?Element|number[]} target 目標（要素か座標、nullならやめる）
+		 * @param {number=} [weight=1] 重み
+		 * @param {number=} [slowRadius=100] 速度を落とし始める距離
+		 * @return {SteeringMotion} このモーション
+		 */
+		arrive(target, weight = 1, slowRadius = 100) {
+			this._arrive = (target === null) ? null : { target, weight, slowRadius };
+			return this;
+		}
+
+		/**
+		 * うろつく（進む方向の先にある円の上で、目標を少しずつ動かして向かう）
+		 * @param {number=} [weight=1] 重み（0ならやめる）
+		 * @param {number=} [radius=20] 円の半径
+		 * @param {number=} [distance=40] 円までの距離
+		 * @param {number=} [jitter=180] 1秒あたりに目標を動かす角度の最大
+		 * @return {SteeringMotion} このモーション
+		 */
+		wander(weight = 1, radius = 20, distance = 40, jitter = 180) {
+			this._wander = (weight === 0) ? null : { weight, radius, distance, jitter };
+			return this;
+		}
+
+		/**
+		 * 近くの仲間と離れる
+		 * @param {number=} [weight=1] 重み（0ならやめる）
+		 * @param {number=} [radius=25] 仲間を探す半径
+		 * @return {SteeringMotion} このモーション
+		 */
+		separation(weight = 1, radius = 25) {
+			this._separation = (weight === 0) ? null : { weight, radius };
+			return this;
+		}
+
+		/**
+		 * 近くの仲間と進む向きをそろえる
+		 * @param {number=} [weight=1] 重み（0ならやめる）
+		 * @param {number=} [radius=50] 仲間を探す半径
+		 * @return {SteeringMotion} このモーション
+		 */
+		alignment(weight = 1, radius = 50) {
+			this._alignment = (weight === 0) ? null : { weight, radius };
+			return this;
+		}
+
+		/**
+		 * 近くの仲間の真ん中に集まる
+		 * @param {number=} [weight=1] 重み（0ならやめる）
+		 * @param {number=} [radius=50] 仲間を探す半径
+		 * @return {SteeringMotion} このモーション
+		 */
+		cohesion(weight = 1, radius = 50) {
+			this._cohesion = (weight === 0) ? null : { weight, radius };
+			return this;
+		}
+
+		/**
+		 * 進む先にある障害物をよける
+		 * - 障害物は、衝突レイヤーがmaskに含まれるスプライトで、衝突判定の形を囲む円をよける
+		 * @param {number} mask 障害物の衝突レイヤーをビットで表した数（0ならやめる）
+		 * @param {number=} [weight=1] 重み
+		 * @param {number=} [distance=50] 最高速度のときに先を見る距離
+		 * @return {SteeringMotion} このモーション
+		 */
+		avoidance(mask, weight = 1, distance = 50) {
+			this._avoidance = (mask === 0) ? null : { mask, weight, distance };
+			return this;
+		}
+
+		/**
+		 * ある速度にするための操舵力（今の速度との差）を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} dx 向かう方向のx成分
+		 * @param {number} dy 向かう方向のy成分
+		 * @param {number=} opt_speed 速さ（なければ最高速度）
+		 * @return {number[]} 操舵力
+		 */
+		_steer(dx, dy, opt_speed = this._maxSpeed) {
+			const d = Math.sqrt(dx * dx + dy * dy);
+			if (d === 0) return [0, 0];
+			return [dx / d * opt_speed - this._vx, dy / d * opt_speed - this._vy];
+		}
+
+		/**
+		 * 操舵力を合わせて、速度と座標を更新する
+		 * @param {number} unitTime 単位時間 [ms]
+		 * @param {number} x x座標（横の場所）
+		 * @param {number} y y座標（たての場所）
+		 * @param {number} dir 方向
+		 * @return {number[]} 座標と方向
+		 */
+		update(unitTime, x, y, dir) {
+			const t = unitTime / 1000;
+			const fs = [];
+			const add = ([fx, fy], weight) => fs.push([fx * weight, fy * weight]);
+			const posOf = tgt => Array.isArray(tgt) ? tgt : [tgt._x, tgt._y];
+
+			if (this._seek) {
+				const [tx, ty] = posOf(this._seek.target);
+				add(this._steer(tx - x, ty - y), this._seek.weight);
+			}
+			if (this._flee) {
+				const [tx, ty] = posOf(this._flee.target);
+				const r = this._flee.radius;
+				if ((x - tx) * (x - tx) + (y - ty) * (y - ty) < r * r) add(this._steer(x - tx, y - ty), this._flee.weight);
+			}
+			if (this._arrive) {
+				const [tx, ty] = posOf(this._arrive.target);
+				const d = Math.sqrt((tx - x) * (tx - x) + (ty - y) * (ty - y));
+				const sp = this._maxSpeed * Math.min(1, d / this._arrive.slowRadius);
+				add((d === 0) ? [-this._vx, -this._vy] : this._steer(tx - x, ty - y, sp), this._arrive.weight);
+			}
+			if (this._wander) {
+				const { weight, radius, distance, jitter } = this._wander;
+				this._wanderDeg += (Math.random() * 2 - 1) * jitter * t;
+				const h = this._headingOf(dir), w = this._wanderDeg * Math.PI / 180;
+				add(this._steer(h[0] * distance + Math.cos(w) * radius, h[1] * distance + Math.sin(w) * radius), weight);
+			}
+			if (this._stage) this._steerByNeighbors(x, y, dir, add);
+
+			// 重みをつけた操舵力を合わせ、この時間で変えられる速度の大きさにおさめる
+			const [fx, fy] = limit(fs.reduce((s, f) => s + f[0], 0), fs.reduce((s, f) => s + f[1], 0), this._maxForce * t);
+			[this._vx, this._vy] = limit(this._vx + fx, this._vy + fy, this._maxSpeed);
+
+			if (this._vx !== 0 || this._vy !== 0) dir = checkDegRange(Math.atan2(this._vy, this._vx) * 180 / Math.PI);
+			return [x + this._vx * t, y + this._vy * t, dir];
+		}
+
+		/**
+		 * 進む方向の単位ベクトルを求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} dir 方向（止まっているときに使う）
+		 * @return {number[]} 単位ベクトル
+		 */
+		_headingOf(dir) {
+			const v = Math.sqrt(this._vx * this._vx + this._vy * this._vy);
+			if (v === 0) return [Math.cos(dir * Math.PI / 180), Math.sin(dir * Math.PI / 180)];
+			return [this._vx / v, this._vy / v];
+		}
+
+		/**
+		 * 近くの仲間と障害物から操舵力を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} dir 方向
+		 * @param {function(number[], number):void} add 操舵力を加える関数
+		 */
+		_steerByNeighbors(x, y, dir, add) {
+			const sep = this._separation, ali = this._alignment, coh = this._cohesion, avo = this._avoidance;
+			if (avo) add(this._avoid(x, y, dir), avo.weight);
+
+			const r = Math.max(...[sep, ali, coh].map(b => b ? b.radius : 0));
+			if (r === 0) return;
+			const ns = this._stage.neighbors(x, y, r).filter(c => c._motion !== this);
+
+			const within = (c, rad) => (c._x - x) * (c._x - x) + (c._y - y) * (c._y - y) <= rad * rad;
+			const mates = ns.filter(c => c._motion instanceof SteeringMotion);
+			if (sep) {
+				let sx = 0, sy = 0;
+				for (const c of mates) {
+					const dx = x - c._x, dy = y - c._y, d2 = dx * dx + dy * dy;
+					// 近いほど強く離れる
+					if (0 < d2 && d2 <= sep.radius * sep.radius) [sx, sy] = [sx + dx / d2, sy + dy / d2];
+				}
+				add(this._steer(sx, sy), sep.weight);
+			}
+			if (ali) {
+				const ms = mates.filter(c => within(c, ali.radius));
+				const vx = ms.reduce((s, c) => s + c._motion._vx, 0), vy = ms.reduce((s, c) => s + c._motion._vy, 0);
+				add(this._steer(vx, vy), ali.weight);
+			}
+			if (coh) {
+				const ms = mates.filter(c => within(c, coh.radius));
+				if (ms.length) {
+					const cx = ms.reduce((s, c) => s + c._x, 0) / ms.length, cy = ms.reduce((s, c) => s + c._y, 0) / ms.length;
+					add(this._steer(cx - x, cy - y), coh.weight);
+				}
+			}
+		}
+
+		/**
+		 * 進む先で一番近い障害物をよける操舵力を求める（ライブラリ内だけで使用）
+		 * - 障害物は、衝突判定の形を囲む円とする
+		 * - 先を見る線分を囲む円にかかるものだけを調べる（大きな障害物は原点が遠くにあっても調べる）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} dir 方向
+		 * @return {number[]} 操舵力
+		 */
+		_avoid(x, y, dir) {
+			const [hx, hy] = this._headingOf(dir);
+			const v = Math.sqrt(this._vx * this._vx + this._vy * this._vy);
+			const len = this._avoidance.distance * v / this._maxSpeed;
+			const cs = this._stage._childrenAround(x + hx * len / 2, y + hy * len / 2, len / 2);
+			let ret = [0, 0], min = Infinity;
+			for (const c of cs) {
+				if (c._motion === this || c._collisionRadius === undefined || (c._collisionLayer & this._avoidance.mask) === 0) continue;
+				const [ox, oy, or] = enclosingCircleOf(shapeOf(c));
+				// 先を見る線分の上で、障害物の中心に一番近い点
+				const s = Math.min(Math.max((ox - x) * hx + (oy - y) * hy, 0), len);
+				const px = x + hx * s, py = y + hy * s;
+				const d2 = (px - ox) * (px - ox) + (py - oy) * (py - oy);
+				if (or * or < d2 || min <= s) continue;
+				min = s;
+				// 進む方向と直角に、障害物の中心から離れる向きへよける（真正面にあるときは右へ）
+				const ax = px - ox, ay = py - oy, dot = ax * hx + ay * hy;
+				const lx = ax - dot * hx, ly = ay - dot * hy;
+				ret = (0.000001 < lx * lx + ly * ly) ? this._steer(lx, ly) : this._steer(-hy, hx);
+			}
+			return ret;
+		}
+
+	}
+
+
+	/**
+	 * ステージ
+	 * @extends {Element}
+	 * @version 2026-10-19
+	 */
+	class Stage extends Element {
+
+		/**
+		 * ステージを作る
+		 * @constructor
+		 * @param {Motion|function=} [motion=null] 動き
+		 * @param {Rotation|function=} [rotation=null] 回転
+		 */
+		constructor(motion = null, rotation = null) {
+			super(motion, rotation);
+
+			this._children = [];
+
+			this._localizeOption = null;
+			this._localizedOffset = [0, 0, 0];
+
+			this._gridSize   = null;
+			this._hash       = null;
+			this._hashBounds = new Map();  // 空間ハッシュに入れたときの、要素を囲む円と、その後に大きくなった分
+			this._hashSlack  = 0;          // 空間ハッシュを作った後に、要素を囲む円がはみ出した大きさ
+			this._touching   = new Map();
+
+			this._isShapeShown = false;
+
+			this._update(0);
+		}
+
+		/**
+		 * スプライトを作って加える
+		 * @param {function(*):void} drawFunction 絵をかく関数
+		 * @param {Motion|function=} [motion=null] 動き
+		 * @param {Rotation|function=} [rotation=null] 回転
+		 * @return {Sprite} スプライト
+		 */
+		makeSprite(drawFunction, motion = null, rotation = null) {
+			const s = new SPRITE.Sprite(drawFunction, motion, rotation);
+			this.add(s);
+			return s;
+		}
+
+		/**
+		 * ステージを作って加える
+		 * @return {Stage} ステージ
+		 */
+		makeStage() {
+			const l = new SPRITE.Stage();
+			this.add(l);
+			return l;
+		}
+
+		/**
+		 * スプライトか子ステージを加える
+		 * @param {Element} child スプライトか子ステージ
+		 */
+		add(child) {
+			this._children.push(child);
+			child._parent = this;
+			this._hash = null;
+		}
+
+		/**
+		 * スプライトか子ステージを返す
+		 * @param {number} index 何番目か
+		 * @return {Element} スプライトか子ステージ
+		 */
+		get(index) {
+			return this._children[index];
+		}
+
+		/**
+		 * 何枚のスプライトか子ステージを持っているか、数を返す
+		 * @return {number} 数
+		 */
+		size() {
+			return this._children.length;
+		}
+
+		/**
+		 * 持っているスプライトと子ステージに対して処理をする
+		 * @param {function} callback 処理をする関数
+		 * @param {*} thisArg This引数
+		 */
+		forEach(callback, thisArg) {
+			for (let i = 0; i < this._children.length; i += 1) {
+				const c = this._children[i];
+				callback.call(thisArg, c, i, this);
+			}
+		}
+
+		/**
+		 * 指定したスプライトを固定して表示する
+		 * @param {Element} descendant スプライトかステージ
+		 * @param {boolean=} opt_stopRotation 回転を止めるか
+		 */
+		localize(descendant, opt_stopRotation) {
+			this._localizeOption = [descendant, opt_stopRotation];
+		}
+
+		/**
+		 * 指定したスプライトを固定して表示する（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_localize() {
+			if (this._localizeOption) {
+				const [descendant, opt_stopRotation] = this._localizeOption;
+				const off = this._getPositionOnParent(descendant, 0, 0, 0, opt_stopRotation);
+				this._localizedOffset[0] = -off[0];
+				this._localizedOffset[1] = -off[1];
+				this._localizedOffset[2] = -off[2];
+			} else {
+				this._localizedOffset[0] = 0;
+				this._localizedOffset[1] = 0;
+				this._localizedOffset[2] = 0;
+			}
+		}
+
+		/**
+		 * このステージの原点の紙での場所を返す
+		 * @param {Element} descendant スプライトかステージ
+		 * @return {number[]} 場所
+		 */
+		getPositionOnContext(descendant) {
+			let [x, y] = this._getPositionOnParent(descendant, 0, 0, 0);
+			x += this._localizedOffset[0];
+			y += this._localizedOffset[1];
+
+			const r = this._localizedOffset[2] * Math.PI / 180;
+			const sin = Math.sin(r);
+			const cos = Math.cos(r);
+			const nx = (x * cos - y * sin);
+			const ny = (x * sin + y * cos);
+			return [nx, ny];
+		}
+
+		/**
+		 * 持っているスプライトと子ステージを全てかく
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * @param {Array=} args_array その他の引数の配列
 		 */
 		draw(ctx, args_array = []) {
 			ctx.save();
@@ -726,9 +2096,50 @@ const SPRITE = (function () {
 				// スプライトのdraw関数を呼び出す
 				c.draw(ctx, args_array);
 			}
+			if (this._isShapeShown) this._drawCollisionShapes(ctx);
+			ctx.restore();
+		}
+
+		/**
+		 * 持っているスプライトの衝突判定の形をかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 */
+		_drawCollisionShapes(ctx) {
+			ctx.save();
+			ctx.lineWidth = 1;
+			ctx.strokeStyle = 'Red';
+			for (const c of this._children) {
+				if (c._collisionRadius === undefined) continue;  // 子ステージ
+				const s = shapeOf(c);
+				ctx.beginPath();
+				if (s.circle) {
+					const [x, y, r] = s.circle;
+					ctx.moveTo(x + r, y);
+					ctx.arc(x, y, r, 0, Math.PI * 2);
+				} else {
+					for (const ps of s.pieces) {
+						ctx.moveTo(...ps[0]);
+						for (let i = 1; i < ps.length; i += 1) ctx.lineTo(...ps[i]);
+						ctx.closePath();
+					}
+				}
+				ctx.stroke();
+			}
 			ctx.restore();
 		}
 
+		/**
+		 * 衝突判定の形を重ねてかくか（デバッグ用）
+		 * @param {boolean=} val 値
+		 * @return {boolean|Stage} 値／このステージ
+		 */
+		showCollisionShapes(val) {
+			if (val === undefined) return this._isShapeShown;
+			this._isShapeShown = val;
+			return this;
+		}
+
 		/**
 		 * 時間に合わせて持っているスプライトと子ステージを全て更新する
 		 * @param {number=} deltaTime 時間差（前回のフレームからの時間経過）[ms]
@@ -739,7 +2150,13 @@ const SPRITE = (function () {
 				c._update(deltaTime);
 			}
 			this._update(deltaTime);
-			this._checkCollision();
+
+			// 衝突判定の形と空間ハッシュは一度だけ作って、接触の解消と衝突のチェックで使う
+			const ss = this._children.map(c => (c._collisionRadius === undefined) ? null : shapeOf(c));  // 子ステージはnull
+			if (this._gridSize === null) this._hash = null;
+			else this._buildHash(ss);
+			this._resolveContacts(ss);
+			this._checkCollision(ss);
 		}
 
 		/**
@@ -769,34 +2186,234 @@ const SPRITE = (function () {
 			return this._getPositionOnParent(elm._parent, x + elm._x, y + elm._y, a + ca);
 		}
 
+		/**
+		 * 持っているスプライトの組み合わせを全て調べる（ライブラリ内だけで使用）
+		 * - マス目の大きさを設定しているときは、空間ハッシュで近くにあるものどうしだけを調べる
+		 * - 関数には、衝突判定の形も渡す（子ステージの形はnull）
+		 * @private
+		 * @param {?object[]} ss 衝突判定の形の配列
+		 * @param {function(Element, Element, ?object, ?object):void} func 組み合わせごとに呼ぶ関数
+		 */
+		_forEachPair(ss, func) {
+			const cs = this._children;
+			const h = this._hash;  // 衝突時の関数で子が加えられても、作ったハッシュを使い続ける
+			if (h === null) {
+				for (let i = 0; i < cs.length; i += 1) {
+					for (let j = i + 1; j < cs.length; j += 1) func(cs[i], cs[j], ss[i], ss[j]);
+				}
+				return;
+			}
+			for (let i = 0; i < cs.length; i += 1) {
+				if (ss[i] === null) continue;  // 子ステージ
+				// 同じ組み合わせを二度調べないように、後ろの要素とだけ調べる（総当たりと同じ順番になる）
+				for (const j of h.query(...ss[i].bound)) {
+					if (i < j) func(cs[i], cs[j], ss[i], ss[j]);
+				}
+			}
+		}
+
 		/**
 		 * 持っているスプライトが衝突しているかどうかをチェックする（ライブラリ内だけで使用）
 		 * @private
+		 * @param {?object[]} ss 衝突判定の形の配列
 		 */
-		_checkCollision() {
-			for (let i = 0; i < this._children.length; i += 1) {
-				const c0 = this._children[i];
-				const r0 = c0._collisionRadius;
-				const x0 = c0._x;
-				const y0 = c0._y;
-
-				for (let j = i + 1; j < this._children.length; j += 1) {
-					const c1 = this._children[j];
-					if (!c0._onCollision && !c1._onCollision) continue;
-
-					const r1 = c1._collisionRadius;
-					const x1 = c1._x;
-					const y1 = c1._y;
-					const d2 = (x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0);
-					const e2 = (r0 + r1) * (r0 + r1);
-					if (d2 <= e2) {
-						if (c0._onCollision) c0._onCollision(c0, c1);
-						if (c1._onCollision) c1._onCollision(c1, c0);
-					}
+		_checkCollision(ss) {
+			const prev = this._touching;
+			this._touching = new Map();
+			this._forEachPair(ss, (c0, c1, s0, s1) => this._collide(c0, c1, s0, s1, prev));
+
+			// 前の更新では衝突していたのに、今は衝突していない組み合わせ
+			for (const [c, os] of prev) {
+				if (!c._onCollisionExit) continue;
+				const cur = this._touching.get(c);
+				for (const o of os) {
+					if (!cur || !cur.has(o)) c._onCollisionExit(c, o);
 				}
 			}
 		}
 
+		/**
+		 * 物理モーションを持つスプライトどうしの接触を解消する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {?object[]} ss 衝突判定の形の配列
+		 */
+		_resolveContacts(ss) {
+			if (!this._children.some(c => c._motion instanceof PhysicsMotion)) return;
+			const ps = [];
+			this._forEachPair(ss, (c0, c1, s0, s1) => {
+				if (s0 === null || s1 === null || !isLayerMatched(c0, c1)) return;
+				if (c0._motion instanceof PhysicsMotion && c1._motion instanceof PhysicsMotion) ps.push([c0, c1]);
+			});
+			// 積み重なったときに、押し出した先でまためり込まないように何回かくり返す
+			for (let k = 0; k < CONTACT_ITERATION; k += 1) {
+				for (const [c0, c1] of ps) this._resolveContact(c0, c1);
+			}
+		}
+
+		/**
+		 * 2つのスプライトがめり込んでいたら引き離し、跳ね返す（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Sprite} c0 スプライト1
+		 * @param {Sprite} c1 スプライト2
+		 */
+		_resolveContact(c0, c1) {
+			const m0 = c0._motion, m1 = c1._motion;
+			const im0 = m0._inverseMass(), im1 = m1._inverseMass(), im = im0 + im1;
+			if (im === 0) return;  // どちらも固定
+			const ct = shapesContact(shapeOf(c0), shapeOf(c1));
+			if (ct === null) return;
+			const [nx, ny, depth] = ct;
+
+			// 質量の逆数の割合で引き離す
+			c0._x -= nx * depth * im0 / im;
+			c0._y -= ny * depth * im0 / im;
+			c1._x += nx * depth * im1 / im;
+			c1._y += ny * depth * im1 / im;
+			c0._moved();
+			c1._moved();
+
+			// 近づいているときだけ跳ね返す
+			const vn = (m1._vx - m0._vx) * nx + (m1._vy - m0._vy) * ny;
+			if (0 <= vn) return;
+			const e = Math.max(m0._restitution, m1._restitution);
+			const j = -(1 + e) * vn / im;
+			m0._vx -= j * im0 * nx;
+			m0._vy -= j * im0 * ny;
+			m1._vx += j * im1 * nx;
+			m1._vy += j * im1 * ny;
+		}
+
+		/**
+		 * 2つのスプライトの衝突を調べて、衝突していたらイベントを呼ぶ（ライブラリ内だけで使用）
+		 * - イベントには、相手に向かう接触の法線とめり込みの深さを渡す
+		 * - 前の更新でも衝突していたかどうかで、衝突し始めたときと衝突し続けているときのイベントを分ける
+		 * @private
+		 * @param {Sprite} c0 スプライト1
+		 * @param {Sprite} c1 スプライト2
+		 * @param {?object} s0 スプライト1の衝突判定の形
+		 * @param {?object} s1 スプライト2の衝突判定の形
+		 * @param {Map<Sprite, Set<Sprite>>} prev 前の更新で衝突していた組み合わせ
+		 */
+		_collide(c0, c1, s0, s1, prev) {
+			if (!hasCollisionHandler(c0) && !hasCollisionHandler(c1)) return;
+			if (s0 === null || s1 === null) return;  // 子ステージ
+			if (!isLayerMatched(c0, c1)) return;
+			const ct = shapesContact(s0, s1);
+			if (ct === null) return;
+			const [nx, ny, depth] = ct;
+			const isStaying = prev.has(c0) && prev.get(c0).has(c1);
+			this._touch(c0, c1);
+			this._touch(c1, c0);
+
+			if (c0._onCollision) c0._onCollision(c0, c1, [nx, ny], depth);
+			if (c1._onCollision) c1._onCollision(c1, c0, [-nx, -ny], depth);
+			const h0 = isStaying ? c0._onCollisionStay : c0._onCollisionEnter;
+			const h1 = isStaying ? c1._onCollisionStay : c1._onCollisionEnter;
+			if (h0) h0(c0, c1, [nx, ny], depth);
+			if (h1) h1(c1, c0, [-nx, -ny], depth);
+		}
+
+		/**
+		 * 衝突している組み合わせを記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Sprite} c スプライト
+		 * @param {Sprite} other 相手のスプライト
+		 */
+		_touch(c, other) {
+			if (!this._touching.has(c)) this._touching.set(c, new Set());
+			this._touching.get(c).add(other);
+		}
+
+		/**
+		 * 持っているスプライトと子ステージの空間ハッシュを作る（ライブラリ内だけで使用）
+		 * - 子ステージは、原点の場所に大きさ0で加える（近くにあるものを探すときのため）
+		 * @private
+		 * @param {?object[]=} opt_shapes 衝突判定の形の配列（なければ求める）
+		 */
+		_buildHash(opt_shapes) {
+			const h = new SpatialHash(this._gridSize);
+			this._hashBounds.clear();
+			this._children.forEach((c, i) => {
+				const isStage = (c._collisionRadius === undefined);
+				const [x, y, r] = isStage ? [c._x, c._y, 0] : (opt_shapes ? opt_shapes[i] : shapeOf(c)).bound;
+				h.add(i, x, y, r);
+				this._hashBounds.set(c, [x, y, r, 0]);
+			});
+			this._hash      = h;
+			this._hashSlack = 0;
+		}
+
+		/**
+		 * 持っている要素の場所か衝突判定の形が変わったときに呼ばれる（ライブラリ内だけで使用）
+		 * - 空間ハッシュは作り直さずに、要素を囲む円がはみ出した大きさだけ広く探すようにする
+		 * - はみ出しがマス目より大きくなったら、次に探すときに作り直す
+		 * @private
+		 * @param {Element} c 要素
+		 * @param {boolean} isReshaped 衝突判定の形が変わったか
+		 */
+		_childMoved(c, isReshaped) {
+			if (this._hash === null) return;
+			const b = this._hashBounds.get(c);
+			if (isReshaped && c._collisionRadius !== undefined) b[3] = Math.max(b[3], shapeOf(c).bound[2] - b[2]);
+			const dx = c._x - b[0], dy = c._y - b[1];
+			const d = Math.sqrt(dx * dx + dy * dy) + b[3];
+			if (this._hashSlack < d) this._hashSlack = d;
+			if (this._gridSize < this._hashSlack) this._hash = null;
+		}
+
+		/**
+		 * 円の範囲にかかっているかもしれないスプライトと子ステージを返す（ライブラリ内だけで使用）
+		 * - 衝突判定の形を囲む円で調べる
+		 * - マス目の大きさを設定しているときは、空間ハッシュで候補をしぼる（設定していないときは全て）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} r 半径
+		 * @return {Element[]} スプライトと子ステージの配列
+		 */
+		_childrenAround(x, y, r) {
+			const cs = this._children;
+			if (this._gridSize === null) return cs;
+			if (this._hash === null) this._buildHash();
+			return this._hash.query(x, y, r + this._hashSlack).map(i => cs[i]);
+		}
+
+		/**
+		 * 衝突判定に使うマス目の大きさ
+		 * - 設定すると、近くにあるスプライトどうしだけを調べるので、スプライトが多くても速くなる（結果は同じ）
+		 * - 衝突半径の2倍くらいの大きさがちょうどよい
+		 * @param {?number=} val 大きさ（nullなら全ての組み合わせを調べる）
+		 * @return {?number|Stage} 大きさ／このステージ
+		 */
+		collisionGridSize(val) {
+			if (val === undefined) return this._gridSize;
+			this._gridSize = val;
+			this._hash = null;
+			return this;
+		}
+
+		/**
+		 * 近くにあるスプライトと子ステージを返す
+		 * - 原点の距離がradius以下のものを返す（その場所にいるものも含む）
+		 * - マス目の大きさを設定しているときは、空間ハッシュを使って速く探す（更新の後に動いたものも含めて、設定していないときと同じものを返す）
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} radius 半径
+		 * @return {Element[]} スプライトと子ステージの配列
+		 */
+		neighbors(x, y, radius) {
+			const cs = this._children;
+			if (this._gridSize !== null && this._hash === null) this._buildHash();
+			const is = this._hash ? this._hash.query(x, y, radius + this._hashSlack) : cs.keys();
+			const ret = [];
+			for (const i of is) {
+				const c = cs[i];
+				const dx = c._x - x, dy = c._y - y;
+				if (dx * dx + dy * dy <= radius * radius) ret.push(c);
+			}
+			return ret;
+		}
+
 		/**
 		 * 観察者（オブザーバー）を加える
 		 * @param {*} observer 観察者（オブザーバー）
@@ -817,6 +2434,100 @@ const SPRITE = (function () {
 	};
 
 
+	/**
+	 * 空間ハッシュ（ライブラリ内だけで使用）
+	 * - 平面をマス目に分けて、要素がどのマスに入っているかを覚えておく（密度マップと同じ考え方で、広さの制限はない）
+	 * @private
+	 * @version 2026-10-19
+	 */
+	class SpatialHash {
+
+		/**
+		 * 空間ハッシュを作る
+		 * @constructor
+		 * @param {number} gridSize マス目の大きさ
+		 */
+		constructor(gridSize) {
+			this._gridSize = gridSize;
+			this._cells    = new Map();
+			this._large    = [];
+		}
+
+		/**
+		 * マスのキーを求める（ライブラリ内だけで使用）
+		 * - 違うマスが同じキーになることがあるが、調べる候補が増えるだけ
+		 * @private
+		 * @param {number} gx 横のマス番号
+		 * @param {number} gy たてのマス番号
+		 * @return {number} キー
+		 */
+		_key(gx, gy) {
+			return gx * 100003 + gy;
+		}
+
+		/**
+		 * 円の範囲にかかるマス番号の範囲を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x 中心x座標
+		 * @param {number} y 中心y座標
+		 * @param {number} r 半径
+		 * @return {number[]} 左、上、右、下のマス番号
+		 */
+		_range(x, y, r) {
+			const gs = this._gridSize;
+			return [Math.floor((x - r) / gs), Math.floor((y - r) / gs), Math.floor((x + r) / gs), Math.floor((y + r) / gs)];
+		}
+
+		/**
+		 * 要素を加える
+		 * @param {number} index 要素の番号
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} r 半径
+		 */
+		add(index, x, y, r) {
+			const [l, t, rt, b] = this._range(x, y, r);
+			// とても大きな要素はマスに入れず、いつも候補にする
+			if (!(rt - l < 32 && b - t < 32)) {
+				this._large.push(index);
+				return;
+			}
+			for (let gy = t; gy <= b; gy += 1) {
+				for (let gx = l; gx <= rt; gx += 1) {
+					const k = this._key(gx, gy);
+					const c = this._cells.get(k);
+					if (c) c.push(index);
+					else this._cells.set(k, [index]);
+				}
+			}
+		}
+
+		/**
+		 * 円の範囲にかかるマスに入っている要素の番号を求める
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} r 半径
+		 * @return {number[]} 要素の番号の配列（小さい順）
+		 */
+		query(x, y, r) {
+			const [l, t, rt, b] = this._range(x, y, r);
+			const ret = new Set(this._large);
+			if (rt - l < 32 && b - t < 32) {
+				for (let gy = t; gy <= b; gy += 1) {
+					for (let gx = l; gx <= rt; gx += 1) {
+						const c = this._cells.get(this._key(gx, gy));
+						if (c) for (const i of c) ret.add(i);
+					}
+				}
+			} else {
+				for (const c of this._cells.values()) for (const i of c) ret.add(i);
+			}
+			return [...ret].sort((a, b) => a - b);
+		}
+
+	}
+
+
 	/**
 	 * 密度マップ
 	 * @version 2021-03-01
@@ -983,6 +2694,6 @@ const SPRITE = (function () {
 	// ライブラリを作る --------------------------------------------------------
 
 
-	return { Stage, Sprite, Circle, Rect, DensityMap, makePlotFunction };
+	return { Stage, Sprite, Circle, Rect, Polygon, SpriteSheet, ImageSprite, PhysicsMotion, SteeringMotion, DensityMap, makePlotFunction };
 
 }());
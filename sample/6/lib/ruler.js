@@ -2,7 +2,7 @@
  * 定規ライブラリ（RULER）
  *
  * @author Takuto Yanagida
- * @version 2021-02-04
+ * @version 2026-10-19
  */
 
 
@@ -47,9 +47,43 @@ const RULER = (function () {
 	};
 
 
+	/**
+	 * 文字列を行に分ける（ライブラリ内だけで使用）
+	 * - 英数字の並びは単語としてまとめ、それ以外（日本語など）は1文字ずつ折り返す
+	 * @private
+	 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト（フォントを設定済み）
+	 * @param {string} str 文字列
+	 * @param {number=} maxWidth 最大の横幅（nullなら折り返さない）
+	 * @return {string[]} 行の配列
+	 */
+	const wrapText = function (ctx, str, maxWidth) {
+		const ret = [];
+		for (const para of String(str).split('\n')) {
+			if (maxWidth === null) {
+				ret.push(para);
+				continue;
+			}
+			let line = '';
+			for (const token of para.match(/[\x21-\x7e]+|\s+|./gu) || []) {
+				const cs = (maxWidth < ctx.measureText(token).width) ? [...token] : [token];
+				for (const c of cs) {
+					if (line !== '' && maxWidth < ctx.measureText(line + c).width) {
+						ret.push(line.trimEnd());
+						line = c.trimStart();
+					} else {
+						line += c;
+					}
+				}
+			}
+			ret.push(line.trimEnd());
+		}
+		return ret;
+	};
+
+
 	/**
 	 * 定規
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class Ruler {
 
@@ -72,7 +106,7 @@ const RULER = (function () {
 			this._ctx = ctx;
 			this._stack = [];
 
-			this._liner = new PATH.Liner({
+			this._liner = new PATH.Liner(PATH.makeRecordingHandler({
 				lineOrMoveTo: (x, y, dir) => {
 					this._ctx.lineTo(x, y);
 					this._x = x;
@@ -93,11 +127,18 @@ const RULER = (function () {
 					this._x = xx;
 					this._y = yy;
 				}
-			});
+			}, () => this._points));
 			this._area = { fromX: null, toX: null, left: null, right: null, fromY: null, toY: null, top: null, bottom: null, sqLen: null };
 			this._stroke = new STYLE.Stroke();
 			this._fill = new STYLE.Fill();
 			this._edge = null;
+
+			this._points = [];
+			this._text = null;
+			this._font = { family: 'sans-serif', size: 16, weight: 'normal', style: 'normal' };
+			this._textAlign = 'left';
+			this._textBaseline = 'alphabetic';
+			this._lineHeight = 1.5;
 		}
 
 		/**
@@ -151,6 +192,8 @@ const RULER = (function () {
 				new STYLE.Stroke(this._stroke),
 				new STYLE.Fill(this._fill),
 				this._liner.edge(),
+				Object.assign({}, this._font),
+				this._textAlign, this._textBaseline, this._lineHeight,
 			];
 		}
 
@@ -167,6 +210,8 @@ const RULER = (function () {
 			this._stroke = t[7];
 			this._fill = t[8];
 			this._liner.edge(t[9]);
+			this._font = t[10];
+			this._textAlign = t[11]; this._textBaseline = t[12]; this._lineHeight = t[13];
 		}
 
 
@@ -233,6 +278,8 @@ const RULER = (function () {
 			this._ctx.beginPath();
 			this._toBeResetArea = true;
 			this._hasPath = false;
+			this._points = [];
+			this._text = null;
 			return this;
 		}
 
@@ -256,6 +303,8 @@ const RULER = (function () {
 			this._x = x;
 			this._y = y;
 			this._hasPath = true;
+			this._points.push([x, y]);
+			this._text = null;
 			return this;
 		}
 
@@ -373,6 +422,8 @@ const RULER = (function () {
 		rect(x, y, width, height) {
 			this._resetArea(x, y);
 			this._ctx.beginPath();
+			this._points = [[x, y]];
+			this._text = null;
 
 			this._ctx.moveTo(x, y);
 			this._liner.line(x, y, 0, width, null, this._area);
@@ -393,6 +444,11 @@ const RULER = (function () {
 			ms = ms.replace('stroke', 's');
 			ms = ms.replace('clip', 'c');
 			for (const m of ms) {
+				if (this._text) {  // 文字の場合
+					if (m === 'f') this._drawText(this._fill, true);
+					if (m === 's') this._drawText(this._stroke, false);
+					continue;
+				}
 				switch (m) {
 					case 'f':
 						this._fill.draw(this._ctx, this._area);
@@ -431,6 +487,8 @@ const RULER = (function () {
 
 			this._resetArea(cx + sp, cy + tp);
 			this._ctx.beginPath();
+			this._points = [[cx + sp, cy + tp]];
+			this._text = null;
 
 			this._ctx.moveTo(cx + sp, cy + tp);
 			this._liner.arc(cx, cy, opt_dir, p.w, p.h, p.deg0, p.deg1, opt_anticlockwise, null, this._area);
@@ -451,6 +509,8 @@ const RULER = (function () {
 
 			this._resetArea(fromX, fromY);
 			this._ctx.beginPath();
+			this._points = [[fromX, fromY]];
+			this._text = null;
 
 			this._ctx.moveTo(fromX, fromY);
 			this._liner.line(fromX, fromY, deg(dr), dest, null, this._area);
@@ -465,10 +525,256 @@ const RULER = (function () {
 		 */
 		dot(x, y) {
 			this._ctx.beginPath();
+			this._points = [];
+			this._text = null;
 			this._ctx.rect(x, y, 1, 1);
 			return this;
 		}
 
+
+		// 文字の描画 --------------------------------------------------------------
+
+
+		/**
+		 * フォント
+		 * @param {string=} family フォントの種類
+		 * @param {number=} opt_size 大きさ [px]（オプション）
+		 * @param {string=} opt_weight 太さ（オプション）
+		 * @param {string=} opt_style スタイル（オプション）
+		 * @return {string|Ruler} フォント（CSSのfontの形）／この定規
+		 */
+		font(family, opt_size, opt_weight, opt_style) {
+			if (family === undefined) return this._fontString();
+			this._font.family = family;
+			if (opt_size !== undefined) this._font.size = opt_size;
+			if (opt_weight !== undefined) this._font.weight = opt_weight;
+			if (opt_style !== undefined) this._font.style = opt_style;
+			return this;
+		}
+
+		/**
+		 * フォントの大きさ
+		 * @param {number=} val 大きさ [px]
+		 * @return {number|Ruler} フォントの大きさ／この定規
+		 */
+		fontSize(val) {
+			if (val === undefined) return this._font.size;
+			this._font.size = val;
+			return this;
+		}
+
+		/**
+		 * 文字の横方向のそろえ方
+		 * @param {string=} val そろえ方（'left', 'center', 'right'）
+		 * @return {string|Ruler} そろえ方／この定規
+		 */
+		textAlign(val) {
+			if (val === undefined) return this._textAlign;
+			this._textAlign = val;
+			return this;
+		}
+
+		/**
+		 * 文字のたて方向のそろえ方
+		 * @param {string=} val そろえ方（'top', 'middle', 'alphabetic', 'bottom'）
+		 * @return {string|Ruler} そろえ方／この定規
+		 */
+		textBaseline(val) {
+			if (val === undefined) return this._textBaseline;
+			this._textBaseline = val;
+			return this;
+		}
+
+		/**
+		 * 行の高さ
+		 * @param {number=} val 行の高さ（フォントの大きさに対する割合）
+		 * @return {number|Ruler} 行の高さ／この定規
+		 */
+		lineHeight(val) {
+			if (val === undefined) return this._lineHeight;
+			this._lineHeight = val;
+			return this;
+		}
+
+		/**
+		 * 文字の大きさを測る
+		 * @param {string} str 文字列
+		 * @param {number=} [opt_maxWidth=null] 最大の横幅（指定すると折り返す）
+		 * @return {object} 横幅（width）、たて幅（height）、行の配列（lines）
+		 */
+		measureText(str, opt_maxWidth = null) {
+			const { lines, width } = this._layoutText(str, opt_maxWidth);
+			const height = (lines.length - 1) * this._font.size * this._lineHeight + this._font.size;
+			return { width, height, lines };
+		}
+
+		/**
+		 * 文字をかく準備をする（drawでかく）
+		 * - 改行（\n）で行を分け、最大の横幅を指定すると折り返す
+		 * @param {string} str 文字列
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number=} [opt_maxWidth=null] 最大の横幅（指定すると折り返す）
+		 * @return {Ruler} この定規
+		 */
+		text(str, x, y, opt_maxWidth = null) {
+			const { width, height, lines } = this.measureText(str, opt_maxWidth);
+			const size = this._font.size, lh = size * this._lineHeight, n = lines.length;
+
+			let y0 = y, asc = size * 0.8;
+			switch (this._textBaseline) {
+				case 'top': case 'hanging': asc = 0; break;
+				case 'middle':      y0 = y - (n - 1) * lh / 2; asc = size / 2; break;
+				case 'bottom':      y0 = y - (n - 1) * lh; asc = size; break;
+				case 'ideographic': y0 = y - (n - 1) * lh; asc = size; break;
+			}
+			let left = x;
+			switch (this._textAlign) {
+				case 'center': left = x - width / 2; break;
+				case 'right': case 'end': left = x - width; break;
+			}
+			this._startText(lines.map((l, i) => [l, x, y0 + i * lh, 0]), this._textAlign);
+			this._setTextArea(left, y0 - asc, left + width, y0 - asc + height);
+			return this;
+		}
+
+		/**
+		 * 文字をパスにそってかく準備をする（drawでかく）
+		 * @param {string} str 文字列
+		 * @param {number[][]=} [opt_points=null] パスの点の配列（指定しないと今のパス）
+		 * @param {number=} [opt_offset=0] パスの始点からのずれ
+		 * @return {Ruler} この定規
+		 */
+		textAlongPath(str, opt_points = null, opt_offset = 0) {
+			const ps = (opt_points === null) ? this._points : opt_points;
+			const ctx = this._ctx;
+			ctx.save();
+			ctx.font = this._fontString();
+			const cws = [...String(str)].map(c => [c, ctx.measureText(c).width]);
+			ctx.restore();
+
+			const total = cws.reduce((s, cw) => s + cw[1], 0);
+			const span = PATH.polylineLength(ps);
+			let d = opt_offset;
+			switch (this._textAlign) {
+				case 'center': d += (span - total) / 2; break;
+				case 'right': case 'end': d += span - total; break;
+			}
+			const gs = [];
+			for (const [c, w] of cws) {
+				const p = PATH.pointAtLength(ps, d + w / 2);
+				if (p) gs.push([c, p[0], p[1], p[2]]);
+				d += w;
+			}
+			const hs = this._font.size / 2;
+			const xs = gs.map(g => g[1]), ys = gs.map(g => g[2]);
+			this._startText(gs, 'center');
+			if (gs.length) this._setTextArea(Math.min(...xs) - hs, Math.min(...ys) - hs, Math.max(...xs) + hs, Math.max(...ys) + hs);
+			return this;
+		}
+
+		/**
+		 * 今のパスの点（曲線は折れ線にしたもの）
+		 * @return {number[][]} 点の配列
+		 */
+		pathPoints() {
+			return this._points.map(p => [...p]);
+		}
+
+		/**
+		 * 今のパスの内側を埋めるハッチングの線分（書き出しやプロッター用）
+		 * - ぬりスタイルのhatch、crossHatchと同じ場所に線が並ぶ
+		 * @param {number=} [opt_deg=45] 線の向き
+		 * @param {number=} [opt_spacing=8] 線の間隔
+		 * @param {boolean=} [opt_cross=false] 交差させるか？
+		 * @return {number[][][]} 線分（始点と終点の配列）の配列
+		 */
+		hatchLines(opt_deg = 45, opt_spacing = 8, opt_cross = false) {
+			const ls = PATH.hatchLines(this._points, opt_deg, opt_spacing);
+			if (opt_cross) ls.push(...PATH.hatchLines(this._points, opt_deg + 90, opt_spacing));
+			return ls;
+		}
+
+		/**
+		 * フォントをCSSのfontの形にする（ライブラリ内だけで使用）
+		 * @private
+		 * @return {string} フォント
+		 */
+		_fontString() {
+			const f = this._font;
+			return `${f.style} ${f.weight} ${f.size}px ${f.family}`;
+		}
+
+		/**
+		 * 文字を行に分けて測る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} str 文字列
+		 * @param {number=} maxWidth 最大の横幅
+		 * @return {object} 行の配列（lines）、横幅（width）
+		 */
+		_layoutText(str, maxWidth) {
+			const ctx = this._ctx;
+			ctx.save();
+			ctx.font = this._fontString();
+			const lines = wrapText(ctx, str, maxWidth);
+			const width = Math.max(0, ...lines.map(l => ctx.measureText(l).width));
+			ctx.restore();
+			return { lines, width };
+		}
+
+		/**
+		 * かく文字を設定する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Array[]} glyphs 文字列、x座標、y座標、方向の配列
+		 * @param {string} align 横方向のそろえ方
+		 */
+		_startText(glyphs, align) {
+			this._ctx.beginPath();
+			this._toBeResetArea = true;
+			this._hasPath = false;
+			this._points = [];
+			this._text = { glyphs, align };
+		}
+
+		/**
+		 * 文字のエリアを設定する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} left 左
+		 * @param {number} top 上
+		 * @param {number} right 右
+		 * @param {number} bottom 下
+		 */
+		_setTextArea(left, top, right, bottom) {
+			this._resetArea(left, top);
+			this._area.right = this._area.toX = right;
+			this._area.bottom = this._area.toY = bottom;
+			this._area.sqLen = (right - left) * (right - left) + (bottom - top) * (bottom - top);
+		}
+
+		/**
+		 * 文字を実際にかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Fill|Stroke} style スタイル
+		 * @param {boolean} isFill ぬるか？
+		 */
+		_drawText(style, isFill) {
+			const ctx = this._ctx;
+			ctx.save();
+			style.assign(ctx, this._area);
+			ctx.font = this._fontString();
+			ctx.textAlign = this._text.align;
+			ctx.textBaseline = this._textBaseline;
+			for (const [str, x, y, dir] of this._text.glyphs) {
+				ctx.save();
+				ctx.translate(x, y);
+				if (dir !== 0) ctx.rotate(rad(dir));
+				if (isFill) ctx.fillText(str, 0, 0);
+				else ctx.strokeText(str, 0, 0);
+				ctx.restore();
+			}
+			ctx.restore();
+		}
+
 	}
 
 
@@ -7,7 +7,7 @@
  * （ここでの紙は、HTML5のCanvas要素のCanvasRenderingContext2Dを拡張したもののことです）
  *
  * @author Takuto Yanagida
- * @version 2021-05-21
+ * @version 2026-10-19
  */
 
 
@@ -38,9 +38,19 @@ const CROQUJS = (function () {
 
 	// すべてのプログラム（スクリプト）を読み込み終わったらsetup関数を呼び出すように、イベント・リスナーを登録する
 	window.addEventListener('load', () => {
-		if (typeof setup === 'function') {
-			setup();
-		}
+		const callSetup = () => {
+			if (typeof setup === 'function') {
+				setup();
+			}
+		};
+		// 読み込み中の画像があれば、読み込み終わってから呼び出す（読み込めなかった画像があっても、知らせてから呼び出す）
+		if (IMAGES.size === 0) callSetup();
+		else Promise.allSettled([...IMAGES.values()].map(e => e.promise)).then(rs => {
+			for (const r of rs) {
+				if (r.status === 'rejected') console.error(r.reason);
+			}
+			callSetup();
+		});
 	}, true);
 
 
@@ -53,7 +63,7 @@ const CROQUJS = (function () {
 	/**
 	 * キー操作処理
 	 * @author Takuto Yanagida
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class KeyHandler {
 
@@ -64,32 +74,84 @@ const CROQUJS = (function () {
 		 */
 		constructor(can) {
 			this._keys = {};
+			this._sources = {};  // キーごとの、押しているもの（キーボードやゲームパッドのボタン）
 			this._onDown = null;
 			this._onUp = null;
 
+			this._pressed       = new Set();  // 前のコマから今までに押されたキー
+			this._released      = new Set();  // 前のコマから今までに離されたキー
+			this._framePressed  = new Set();  // このコマで押されたキー
+			this._frameReleased = new Set();  // このコマで離されたキー
+
 			// キー・ダウン（キーが押された）イベントに対応する
 			can.addEventListener('keydown', (e) => {
-				if (!this._keys[e.key]) {
-					if (this._onDown !== null) {
-						this._onDown(e.key, e);
-						e.preventDefault();
-					}
-					this._keys[e.key] = true;
-				}
+				if (this._down(e.key, e)) e.preventDefault();
 			}, true);
 
 			// キー・アップ（キーが離された）イベントに対応する
 			can.addEventListener('keyup', (e) => {
-				if (this._keys[e.key]) {
-					if (this._onUp !== null) {
-						this._onUp(e.key, e);
-						e.preventDefault();
-					}
-					this._keys[e.key] = false;
-				}
+				if (this._up(e.key, e)) e.preventDefault();
 			}, true);
 		}
 
+		/**
+		 * キーが押されたことを記録し、関数を呼ぶ（ライブラリ内だけで使用）
+		 * - キーボードとゲームパッドのボタンは別々に記録し、どれかが押していればキーが押されているとする
+		 * @private
+		 * @param {string} key キー
+		 * @param {KeyboardEvent=} e イベント（ゲームパッドのときはnull）
+		 * @param {string=} [source='keyboard'] 押したもの
+		 * @return {boolean} 関数を呼んだか
+		 */
+		_down(key, e, source = 'keyboard') {
+			const k = normalizeKey(key);
+			if (!this._sources[k]) this._sources[k] = new Set();
+			this._sources[k].add(source);
+			if (this._keys[k]) return false;
+			let called = false;
+			if (this._onDown !== null) {
+				this._onDown(key, e);
+				called = true;
+			}
+			this._keys[k] = true;
+			this._pressed.add(k);
+			return called;
+		}
+
+		/**
+		 * キーが離されたことを記録し、関数を呼ぶ（ライブラリ内だけで使用）
+		 * - ほかに押しているものがあるときは、キーは押されたままとする
+		 * @private
+		 * @param {string} key キー
+		 * @param {KeyboardEvent=} e イベント（ゲームパッドのときはnull）
+		 * @param {string=} [source='keyboard'] 離したもの
+		 * @return {boolean} 関数を呼んだか
+		 */
+		_up(key, e, source = 'keyboard') {
+			const k = normalizeKey(key);
+			if (this._sources[k]) this._sources[k].delete(source);
+			if (!this._keys[k] || this._sources[k].size) return false;
+			let called = false;
+			if (this._onUp !== null) {
+				this._onUp(key, e);
+				called = true;
+			}
+			this._keys[k] = false;
+			this._released.add(k);
+			return called;
+		}
+
+		/**
+		 * 次のコマに進む（紙だけで使用）
+		 * - 前のコマから今までに押された、離されたキーを、このコマのものにする
+		 */
+		nextFrame() {
+			[this._framePressed, this._pressed] = [this._pressed, this._framePressed];
+			[this._frameReleased, this._released] = [this._released, this._frameReleased];
+			this._pressed.clear();
+			this._released.clear();
+		}
+
 
 		// 公開関数 ----------------------------------------------------------------
 
@@ -114,6 +176,37 @@ const CROQUJS = (function () {
 			this._onUp = handler;
 		}
 
+		/**
+		 * キーが押されているか？
+		 * @param {string} combo キー（'Shift+ArrowUp'のように「+」でつなぐと、すべてが押されているか）
+		 * @return {boolean} キーが押されているか
+		 */
+		isKeyDown(combo) {
+			return parseKeyCombo(combo).every(k => this._keys[k] === true);
+		}
+
+		/**
+		 * このコマでキーが押されたか？
+		 * @param {string} combo キー（'Shift+ArrowUp'のように「+」でつなぐと、ほかのキーが押されている間に最後のキーが押されたか）
+		 * @return {boolean} キーが押されたか
+		 */
+		isKeyPressed(combo) {
+			const ks = parseKeyCombo(combo);
+			const key = ks.pop();
+			return this._framePressed.has(key) && ks.every(k => this._keys[k] === true);
+		}
+
+		/**
+		 * このコマでキーが離されたか？
+		 * @param {string} combo キー（'Shift+ArrowUp'のように「+」でつなぐと、ほかのキーが押されている間に最後のキーが離されたか）
+		 * @return {boolean} キーが離されたか
+		 */
+		isKeyReleased(combo) {
+			const ks = parseKeyCombo(combo);
+			const key = ks.pop();
+			return this._frameReleased.has(key) && ks.every(k => this._keys[k] === true);
+		}
+
 		/**
 		 * カーソル・キーの左が押されているか？
 		 * @return {boolean} カーソル・キーの左が押されているか
@@ -149,6 +242,136 @@ const CROQUJS = (function () {
 	}
 
 
+	/**
+	 * ゲームパッド操作処理
+	 * - アニメーションの一コマごとに状態を調べ、ボタンの変化に対応する関数を呼ぶ
+	 * - ボタンをキーに割り当てると、キーが押されたときと同じように扱う
+	 * @version 2026-10-19
+	 */
+	class GamepadHandler {
+
+		/**
+		 * ゲームパッド操作処理を作る
+		 * @constructor
+		 * @param {KeyHandler} keyHandler キー操作処理
+		 */
+		constructor(keyHandler) {
+			this._keyHandler = keyHandler;
+			this._prevButtons = [];
+			this._onButton = null;
+			this._keyMap = Object.assign({}, GamepadHandler.DEFAULT_KEY_MAP);
+		}
+
+		/**
+		 * ゲームパッドをもらう（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} index ゲームパッドの番号
+		 * @return {?Gamepad} ゲームパッド
+		 */
+		_getGamepad(index) {
+			if (!navigator.getGamepads) return null;
+			return navigator.getGamepads()[index] || null;
+		}
+
+		/**
+		 * ゲームパッドの状態を調べて、ボタンの変化に対応する（紙だけで使用）
+		 */
+		poll() {
+			if (!navigator.getGamepads) return;
+			const gps = navigator.getGamepads();
+
+			for (let gi = 0; gi < gps.length; gi += 1) {
+				const gp = gps[gi];
+				if (!gp) continue;
+				const prev = this._prevButtons[gi] || [];
+				const cur = gp.buttons.map(b => b.pressed);
+
+				for (let i = 0; i < cur.length; i += 1) {
+					if (cur[i] === (prev[i] || false)) continue;
+					if (this._onButton !== null) this._onButton(i, cur[i], gi);
+
+					const key = (this._keyMap === null) ? undefined : this._keyMap[i];
+					if (key !== undefined) {
+						const src = `gamepad${gi}:${i}`;
+						if (cur[i]) this._keyHandler._down(key, null, src);
+						else this._keyHandler._up(key, null, src);
+					}
+				}
+				this._prevButtons[gi] = cur;
+			}
+		}
+
+
+		// 公開関数 ----------------------------------------------------------------
+
+
+		/**
+		 * ゲームパッドのボタンが押された、離されたときに対応する関数をセットする
+		 * @param {function(number, boolean, number)=} handler 関数（ボタンの番号、押されているか、ゲームパッドの番号）
+		 * @return {function(number, boolean, number)=} 関数
+		 */
+		onGamepadButton(handler) {
+			if (handler === undefined) return this._onButton;
+			this._onButton = handler;
+		}
+
+		/**
+		 * ゲームパッドのボタンをキーに割り当てる
+		 * @param {Object<number, string>=} map ボタンの番号とキーの対応（nullなら割り当てない）
+		 * @return {Object<number, string>=} ボタンの番号とキーの対応
+		 */
+		gamepadKeyMap(map) {
+			if (map === undefined) return this._keyMap;
+			this._keyMap = map;
+		}
+
+		/**
+		 * ゲームパッドがつながっているか？
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {boolean} つながっているか
+		 */
+		gamepadConnected(index = 0) {
+			return this._getGamepad(index) !== null;
+		}
+
+		/**
+		 * ゲームパッドのボタンが押されているか？
+		 * @param {number} button ボタンの番号
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {boolean} 押されているか
+		 */
+		gamepadButton(button, index = 0) {
+			const gp = this._getGamepad(index);
+			if (gp === null || gp.buttons.length <= button) return false;
+			return gp.buttons[button].pressed;
+		}
+
+		/**
+		 * ゲームパッドの軸（スティック）の値を返す
+		 * @param {number} axis 軸の番号（0: 左スティックの横、1: 左スティックのたて、2: 右スティックの横、3: 右スティックのたて）
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {number} 値（-1～1）
+		 */
+		gamepadAxis(axis, index = 0) {
+			const gp = this._getGamepad(index);
+			if (gp === null || gp.axes.length <= axis) return 0;
+			const v = gp.axes[axis];
+			return (Math.abs(v) < GamepadHandler.DEAD_ZONE) ? 0 : v;
+		}
+
+	}
+
+	/**
+	 * 小さい軸の値を0とみなす範囲
+	 */
+	GamepadHandler.DEAD_ZONE = 0.1;
+
+	/**
+	 * ボタンとキーのはじめの割り当て（標準的な配置の十字キーとAボタン）
+	 */
+	GamepadHandler.DEFAULT_KEY_MAP = { 0: ' ', 12: 'ArrowUp', 13: 'ArrowDown', 14: 'ArrowLeft', 15: 'ArrowRight' };
+
+
 	/**
 	 * マウス操作処理
 	 * @author Takuto Yanagida
@@ -506,10 +729,161 @@ const CROQUJS = (function () {
 	}
 
 
+	/**
+	 * ポインター操作処理（マルチタッチやペンに対応する）
+	 * @version 2026-10-19
+	 */
+	class PointerHandler {
+
+		/**
+		 * ポインター操作処理を作る
+		 * @constructor
+		 * @param {HTMLCanvasElement} can キャンバス
+		 */
+		constructor(can) {
+			this._canvas = can;
+			this._pointers = new Map();
+
+			this._onDown = null;
+			this._onMove = null;
+			this._onUp = null;
+
+			if (!window.PointerEvent) return;
+			can.addEventListener('pointerdown', this._onDownCan.bind(this), true);
+			can.addEventListener('pointermove', this._onMoveCan.bind(this), true);
+			can.addEventListener('pointerup', this._onUpCan.bind(this), false);
+			can.addEventListener('pointercancel', this._onUpCan.bind(this), false);
+		}
+
+		/**
+		 * ポインター・ダウン（ボタンが押された、画面にふれた）イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {PointerEvent} e イベント
+		 */
+		_onDownCan(e) {
+			const p = this._makePointer(e);
+			this._pointers.set(e.pointerId, p);
+			// キャンバスの外に出ても同じポインターのイベントを受け取る
+			if (this._canvas.setPointerCapture) this._canvas.setPointerCapture(e.pointerId);
+			if (this._onDown !== null) {
+				this._onDown(Object.assign({}, p), this.pointers(), e);
+				e.preventDefault();
+			}
+		}
+
+		/**
+		 * ポインター・ムーブ（ポインターが移動した）イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {PointerEvent} e イベント
+		 */
+		_onMoveCan(e) {
+			const p = this._makePointer(e);
+			if (this._pointers.has(e.pointerId)) this._pointers.set(e.pointerId, p);
+			if (this._onMove !== null) {
+				this._onMove(Object.assign({}, p), this.pointers(), e);
+				e.preventDefault();
+			}
+		}
+
+		/**
+		 * ポインター・アップ（ボタンが離された、画面から離れた）イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {PointerEvent} e イベント
+		 */
+		_onUpCan(e) {
+			if (!this._pointers.has(e.pointerId)) return;
+			const p = this._makePointer(e);
+			this._pointers.delete(e.pointerId);
+			if (this._onUp !== null) {
+				this._onUp(p, this.pointers(), e);
+				e.preventDefault();
+			}
+		}
+
+		/**
+		 * ポインターの情報を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {PointerEvent} e イベント
+		 * @return {Object} ポインターの情報
+		 */
+		_makePointer(e) {
+			const r = this._canvas.getBoundingClientRect();
+			return {
+				id         : e.pointerId,
+				x          : e.clientX - r.left,
+				y          : e.clientY - r.top,
+				pressure   : e.pressure,
+				tiltX      : e.tiltX,
+				tiltY      : e.tiltY,
+				twist      : e.twist || 0,
+				width      : e.width,
+				height     : e.height,
+				pointerType: e.pointerType,
+				isPrimary  : e.isPrimary,
+				buttons    : e.buttons,
+			};
+		}
+
+		/**
+		 * ハンドラーをセットしたときに、タッチでページがスクロールしないようにする（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_disableTouchAction() {
+			this._canvas.style.touchAction = 'none';
+		}
+
+
+		// 公開関数 ----------------------------------------------------------------
+
+
+		/**
+		 * ポインター・ダウン（ボタンが押された、画面にふれた）イベントに対応する関数をセットする
+		 * @param {function(Object, Object[], PointerEvent)=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent)=} 関数
+		 */
+		onPointerDown(handler) {
+			if (handler === undefined) return this._onDown;
+			this._onDown = handler;
+			this._disableTouchAction();
+		}
+
+		/**
+		 * ポインター・ムーブ（ポインターが移動した）イベントに対応する関数をセットする
+		 * @param {function(Object, Object[], PointerEvent)=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent)=} 関数
+		 */
+		onPointerMove(handler) {
+			if (handler === undefined) return this._onMove;
+			this._onMove = handler;
+			this._disableTouchAction();
+		}
+
+		/**
+		 * ポインター・アップ（ボタンが離された、画面から離れた）イベントに対応する関数をセットする
+		 * @param {function(Object, Object[], PointerEvent)=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent)=} 関数
+		 */
+		onPointerUp(handler) {
+			if (handler === undefined) return this._onUp;
+			this._onUp = handler;
+			this._disableTouchAction();
+		}
+
+		/**
+		 * 今ふれている（ボタンが押されている）ポインターすべての情報を返す
+		 * @return {Object[]} ポインターの情報の配列
+		 */
+		pointers() {
+			return [...this._pointers.values()].map(p => Object.assign({}, p));
+		}
+
+	}
+
+
 	/**
 	 * ズーム操作処理
 	 * @author Takuto Yanagida
-	 * @version 2021-02-04
+	 * @version 2026-10-19
 	 */
 	class ZoomHandler {
 
@@ -750,84 +1124,1026 @@ const CROQUJS = (function () {
 			ctx.restore();
 		}
 
+		/**
+		 * 紙（画面）の座標を、ズームする前の座標に直す
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} ズームする前の座標
+		 */
+		screenToView(x, y) {
+			if (!this._isEnabled) return [x, y];
+			return [(x + this._viewOff.x) / this._scale, (y + this._viewOff.y) / this._scale];
+		}
+
+		/**
+		 * ズームする前の座標を、紙（画面）の座標に直す
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 紙の座標
+		 */
+		viewToScreen(x, y) {
+			if (!this._isEnabled) return [x, y];
+			return [x * this._scale - this._viewOff.x, y * this._scale - this._viewOff.y];
+		}
+
 	}
 
 
 	/**
-	 * 紙
-	 * @version 2021-05-21
+	 * カメラ（紙に写す範囲を決める）
+	 * - 位置は紙の真ん中に写る世界の座標で、回転は度で表す
+	 * @version 2026-10-19
 	 */
-	class Paper {
+	class Camera {
 
 		/**
-		 * 紙を作る
+		 * カメラを作る
 		 * @constructor
-		 * @param {number} width 横の大きさ
-		 * @param {number} height たての大きさ
-		 * @param {boolean} [isVisible=true] 画面に表示する？
+		 * @param {Paper} ctx 紙
 		 */
-		constructor(width, height, isVisible = true) {
-			const can = document.createElement('canvas');
-			can.setAttribute('width', '' + (width || 400));
-			can.setAttribute('height', '' + (height || 400));
-			can.setAttribute('tabindex', '1');
-
-			this._ctx = can.getContext('2d');
-			if (!PAPER_IS_AUGMENTED) augmentPaperPrototype(this._ctx);
-
-			// 画面に表示する場合は
-			if (isVisible === true) {
-				const style = document.createElement('style');
-				style.innerHTML = 'body>canvas{border:0 solid lightgray;display:inline-block;touch-action:none;outline:none;}';
-				document.head.appendChild(style);
+		constructor(ctx) {
+			this._ctx = ctx;
+			this._isEnabled = false;
+			this._isApplied = false;
 
-				can.id = 'canvas';
-				document.body.appendChild(can);
-				can.focus();
-			}
-			CANVAS_TO_PAPER[can] = this;
-			this._augment(can);
-			CROQUJS.currentPaper(this);
+			this._x = null;
+			this._y = null;
+			this._zoom = 1;
+			this._rotation = 0;
 
-			if (typeof STYLE !== 'undefined') STYLE.augment(this);
+			this._target = null;
+			this._followRate = 1;
 		}
 
 		/**
-		 * 紙を強化する（ライブラリ内だけで使用）
-		 * @private
-		 * @param {HTMLCanvasElement} can キャンバス要素
+		 * カメラを使っているか（紙だけで使用）
+		 * @return {boolean} 使っているか
 		 */
-		_augment(can) {
-			this._prevTime = 0;
-			this._deltaTime = 0;
-			this._frame = 0;
-			this._fps = 60;
-			this._frameLength = 60;
-			this._totalFrame = 0;
-			this._isAnimating = false;
-			this._isGridVisible = true;
-
-			this._keyEventHandler = new KeyHandler(can);
-			this._mouseEventHandler = new MouseHandler(can);
-			this._zoomHandler = new ZoomHandler(this);
-			this._transforms = [];
-			this._stackLevel = 0;
-			this.addEventListener = can.addEventListener.bind(can);
-
-			can.addEventListener('keydown', (e) => {
-				if (e.ctrlKey && String.fromCharCode(e.keyCode) === 'S') this.saveImage();
-			}, true);
+		enabled() {
+			return this._isEnabled;
 		}
 
 		/**
-		 * 横の大きさ
-		 * @param {number=} val 横の大きさ
-		 * @return {number|Paper} 横の大きさ／この紙
+		 * 絵をかく前の設定をする（紙だけで使用）
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
 		 */
-		width(val) {
-			if (val === undefined) return this.canvas.width;
-			this.canvas.width = val;
-			return this;
+		beforeDrawing(ctx) {
+			if (!this._isEnabled) return;
+			if (this._target !== null) {
+				const r = this._followRate;
+				this._x = this.x() + (this._target.x() - this.x()) * r;
+				this._y = this.y() + (this._target.y() - this.y()) * r;
+			}
+			const [a, b, c, d, e, f] = this._matrix();
+			ctx.save();
+			ctx.transform(a, b, c, d, e, f);
+			this._isApplied = true;
+		}
+
+		/**
+		 * 絵をかいた後で設定を戻す（紙だけで使用）
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 */
+		afterDrawing(ctx) {
+			if (!this._isApplied) return;
+			ctx.restore();
+			this._isApplied = false;
+		}
+
+		/**
+		 * 世界の座標から紙の座標への変形行列を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number[]} 変形行列の係数
+		 */
+		_matrix() {
+			const r = -this._rotation * Math.PI / 180, z = this._zoom;
+			const cos = Math.cos(r) * z, sin = Math.sin(r) * z;
+			const cx = this.x(), cy = this.y();
+			const w = this._ctx.width(), h = this._ctx.height();
+			return [cos, sin, -sin, cos, w / 2 - (cos * cx - sin * cy), h / 2 - (sin * cx + cos * cy)];
+		}
+
+
+		// 公開関数 ----------------------------------------------------------------
+
+
+		/**
+		 * x座標（紙の真ん中に写る世界のx座標）
+		 * @param {number=} val x座標
+		 * @return {number|Camera} x座標／このカメラ
+		 */
+		x(val) {
+			if (val === undefined) return (this._x === null) ? this._ctx.width() / 2 : this._x;
+			this._x = val;
+			this._isEnabled = true;
+			return this;
+		}
+
+		/**
+		 * y座標（紙の真ん中に写る世界のy座標）
+		 * @param {number=} val y座標
+		 * @return {number|Camera} y座標／このカメラ
+		 */
+		y(val) {
+			if (val === undefined) return (this._y === null) ? this._ctx.height() / 2 : this._y;
+			this._y = val;
+			this._isEnabled = true;
+			return this;
+		}
+
+		/**
+		 * 場所を変える
+		 * @param {number} x x座標（紙の真ん中に写る世界のx座標）
+		 * @param {number} y y座標（紙の真ん中に写る世界のy座標）
+		 * @return {Camera} このカメラ
+		 */
+		moveTo(x, y) {
+			return this.x(x).y(y);
+		}
+
+		/**
+		 * 今の場所から動かす（パンする）
+		 * @param {number} dx 横方向の移動（世界の座標）
+		 * @param {number} dy たて方向の移動（世界の座標）
+		 * @return {Camera} このカメラ
+		 */
+		pan(dx, dy) {
+			return this.moveTo(this.x() + dx, this.y() + dy);
+		}
+
+		/**
+		 * 拡大率
+		 * @param {number=} val 拡大率
+		 * @return {number|Camera} 拡大率／このカメラ
+		 */
+		zoom(val) {
+			if (val === undefined) return this._zoom;
+			this._zoom = val;
+			this._isEnabled = true;
+			return this;
+		}
+
+		/**
+		 * 回転（度）
+		 * @param {number=} deg 角度
+		 * @return {number|Camera} 角度／このカメラ
+		 */
+		rotation(deg) {
+			if (deg === undefined) return this._rotation;
+			this._rotation = deg;
+			this._isEnabled = true;
+			return this;
+		}
+
+		/**
+		 * スプライトなどを追いかける（アニメーションの一コマごとに動く）
+		 * @param {?{x: function():number, y: function():number}} target 追いかけるもの（nullなら追いかけない）
+		 * @param {number=} [rate=1] 一コマに近づく割合（0～1、小さいとゆっくり追いかける）
+		 * @return {Camera} このカメラ
+		 */
+		follow(target, rate = 1) {
+			this._target = target;
+			this._followRate = rate;
+			this._isEnabled = true;
+			return this;
+		}
+
+		/**
+		 * はじめの状態に戻す
+		 * @return {Camera} このカメラ
+		 */
+		reset() {
+			this._x = null;
+			this._y = null;
+			this._zoom = 1;
+			this._rotation = 0;
+			this._target = null;
+			return this;
+		}
+
+		/**
+		 * 世界の座標を紙（画面）の座標に直す
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 紙の座標
+		 */
+		worldToScreen(x, y) {
+			const [a, b, c, d, e, f] = this._matrix();
+			return this._ctx._zoomHandler.viewToScreen(a * x + c * y + e, b * x + d * y + f);
+		}
+
+		/**
+		 * 紙（画面）の座標を世界の座標に直す
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 世界の座標
+		 */
+		screenToWorld(x, y) {
+			const [a, b, c, d, e, f] = this._matrix();
+			const [vx, vy] = this._ctx._zoomHandler.screenToView(x, y);
+			const det = a * d - b * c;
+			const px = vx - e, py = vy - f;
+			return [(d * px - c * py) / det, (a * py - b * px) / det];
+		}
+
+		/**
+		 * マウスの横の場所（世界の座標）
+		 * @return {number} マウスの横の場所
+		 */
+		mouseX() {
+			return this.screenToWorld(this._ctx.mouseX(), this._ctx.mouseY())[0];
+		}
+
+		/**
+		 * マウスのたての場所（世界の座標）
+		 * @return {number} マウスのたての場所
+		 */
+		mouseY() {
+			return this.screenToWorld(this._ctx.mouseX(), this._ctx.mouseY())[1];
+		}
+
+	}
+
+
+	/**
+	 * 録画処理
+	 * @version 2026-10-19
+	 */
+	class Recorder {
+
+		/**
+		 * 録画処理を作る
+		 * @constructor
+		 * @param {HTMLCanvasElement} can キャンバス
+		 */
+		constructor(can) {
+			this._canvas = can;
+			this._isRecording = false;
+
+			this._type      = 'gif';
+			this._fps       = 10;
+			this._duration  = null;
+			this._fileName  = null;
+			this._startTime = 0;
+			this._prevTime  = 0;
+
+			this._gif = null;
+			this._mediaRecorder = null;
+			this._chunks = [];
+		}
+
+		/**
+		 * 録画を始める
+		 * @param {number} fps 1秒間のコマ数
+		 * @param {?number} duration 録画する時間 [s]（nullなら止めるまで）
+		 * @param {string} type ファイルの種類（'gif'か'webm'）
+		 * @param {?string} fileName ファイル名
+		 */
+		start(fps, duration, type, fileName) {
+			if (this._isRecording) this.stop(null);
+			if (type !== 'gif' && type !== 'webm') throw new Error('CROQUJS::startRecording: ファイルの種類は\'gif\'か\'webm\'です。');
+
+			this._type      = type;
+			this._fps       = fps;
+			this._duration  = duration;
+			this._fileName  = fileName;
+			this._startTime = null;
+			this._prevTime  = null;
+
+			if (type === 'gif') {
+				this._gif = new GifEncoder(this._canvas.width, this._canvas.height, fps);
+			} else {
+				if (typeof MediaRecorder === 'undefined' || !this._canvas.captureStream) {
+					throw new Error('CROQUJS::startRecording: この環境では動画を録画できません。');
+				}
+				this._chunks = [];
+				this._mediaRecorder = new MediaRecorder(this._canvas.captureStream(fps), { mimeType: 'video/webm' });
+				this._mediaRecorder.ondataavailable = (e) => { if (0 < e.data.size) this._chunks.push(e.data); };
+				this._mediaRecorder.start();
+			}
+			this._isRecording = true;
+		}
+
+		/**
+		 * 録画を止めてファイルに保存する
+		 * @param {?string} fileName ファイル名（nullなら保存しない）
+		 */
+		stop(fileName) {
+			if (!this._isRecording) return;
+			this._isRecording = false;
+
+			if (this._type === 'gif') {
+				if (fileName !== null) saveBlob(this._gif.finish(), fileName);
+				this._gif = null;
+			} else {
+				const mr = this._mediaRecorder;
+				mr.onstop = () => {
+					if (fileName !== null) saveBlob(new Blob(this._chunks, { type: 'video/webm' }), fileName);
+					this._chunks = [];
+				};
+				mr.stop();
+				for (const t of mr.stream.getTracks()) t.stop();
+				this._mediaRecorder = null;
+			}
+		}
+
+		/**
+		 * 録画中か？
+		 * @return {boolean} 録画中か
+		 */
+		isRecording() {
+			return this._isRecording;
+		}
+
+		/**
+		 * デフォルトのファイル名を返す
+		 * @return {string} ファイル名
+		 */
+		defaultFileName() {
+			return this._fileName || ('default.' + this._type);
+		}
+
+		/**
+		 * 絵をかいた後で一コマを記録する（紙だけで使用）
+		 * @param {number} time 時刻 [ms]
+		 */
+		afterDrawing(time) {
+			if (!this._isRecording) return;
+			if (this._startTime === null) this._startTime = time;
+
+			if (this._type === 'gif') {
+				const span = 1000 / this._fps;
+				if (this._prevTime === null || span <= time - this._prevTime) {
+					const ctx = this._canvas.getContext('2d');
+					this._gif.addFrame(ctx.getImageData(0, 0, this._canvas.width, this._canvas.height));
+					// 遅れが大きいときは時間を合わせ直す
+					this._prevTime = (this._prevTime === null || span * 2 < time - this._prevTime) ? time : this._prevTime + span;
+				}
+			}
+			if (this._duration !== null && this._duration * 1000 <= time - this._startTime) {
+				this.stop(this.defaultFileName());
+			}
+		}
+
+	}
+
+
+	/**
+	 * GIFエンコーダー（ライブラリ内だけで使用）
+	 * - 色は6✕6✕6の216色にまとめ、透明な部分は透明色にする
+	 * @version 2026-10-19
+	 */
+	class GifEncoder {
+
+		/**
+		 * GIFエンコーダーを作る
+		 * @constructor
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @param {number} fps 1秒間のコマ数
+		 */
+		constructor(width, height, fps) {
+			this._width  = width;
+			this._height = height;
+			this._delay  = Math.max(2, Math.round(100 / fps));  // 1/100秒単位
+			this._parts  = [];
+			this._indices = new Uint8Array(width * height);
+
+			const head = new ByteWriter();
+			head.str('GIF89a');
+			head.short(width);
+			head.short(height);
+			head.byte(0xf7);  // グローバル・カラー・テーブルあり、256色
+			head.byte(0);
+			head.byte(0);
+			for (let i = 0; i < 256; i += 1) {
+				if (i < 216) {
+					head.byte(Math.floor(i / 36) * 51);
+					head.byte(Math.floor(i / 6) % 6 * 51);
+					head.byte(i % 6 * 51);
+				} else {
+					head.byte(0); head.byte(0); head.byte(0);
+				}
+			}
+			// くり返し再生する
+			head.byte(0x21); head.byte(0xff); head.byte(11);
+			head.str('NETSCAPE2.0');
+			head.byte(3); head.byte(1); head.short(0); head.byte(0);
+			this._parts.push(head.bytes());
+		}
+
+		/**
+		 * 一コマを加える
+		 * @param {ImageData} img 画像
+		 */
+		addFrame(img) {
+			const d = img.data, ids = this._indices;
+			for (let i = 0, I = ids.length; i < I; i += 1) {
+				const j = i * 4;
+				if (d[j + 3] < 128) {
+					ids[i] = GifEncoder.TRANSPARENT;
+				} else {
+					ids[i] = Math.round(d[j] / 51) * 36 + Math.round(d[j + 1] / 51) * 6 + Math.round(d[j + 2] / 51);
+				}
+			}
+			const w = new ByteWriter();
+			// グラフィック制御拡張（前のコマを消して、透明色を使う）
+			w.byte(0x21); w.byte(0xf9); w.byte(4);
+			w.byte((2 << 2) | 1);
+			w.short(this._delay);
+			w.byte(GifEncoder.TRANSPARENT);
+			w.byte(0);
+			// イメージ記述子
+			w.byte(0x2c);
+			w.short(0); w.short(0);
+			w.short(this._width); w.short(this._height);
+			w.byte(0);
+			// 画像データ
+			w.byte(8);
+			const data = lzwEncode(ids, 8);
+			for (let i = 0; i < data.length; i += 255) {
+				const sub = data.subarray(i, Math.min(i + 255, data.length));
+				w.byte(sub.length);
+				w.array(sub);
+			}
+			w.byte(0);
+			this._parts.push(w.bytes());
+		}
+
+		/**
+		 * 終わりにしてファイルのデータを返す
+		 * @return {Blob} ファイルのデータ
+		 */
+		finish() {
+			this._parts.push(new Uint8Array([0x3b]));
+			return new Blob(this._parts, { type: 'image/gif' });
+		}
+
+	}
+
+	GifEncoder.TRANSPARENT = 216;
+
+
+	/**
+	 * バイト列を書く（ライブラリ内だけで使用）
+	 * @version 2026-10-19
+	 */
+	class ByteWriter {
+
+		/**
+		 * バイト列を作る
+		 * @constructor
+		 */
+		constructor() {
+			this._buf = new Uint8Array(1024);
+			this._len = 0;
+		}
+
+		/**
+		 * 必要なら大きさを広げる（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} n 書き足すバイト数
+		 */
+		_ensure(n) {
+			if (this._len + n <= this._buf.length) return;
+			const nb = new Uint8Array(Math.max(this._buf.length * 2, this._len + n));
+			nb.set(this._buf);
+			this._buf = nb;
+		}
+
+		/**
+		 * 1バイトを書く
+		 * @param {number} v 値
+		 */
+		byte(v) {
+			this._ensure(1);
+			this._buf[this._len++] = v & 0xff;
+		}
+
+		/**
+		 * 2バイト（リトル・エンディアン）を書く
+		 * @param {number} v 値
+		 */
+		short(v) {
+			this.byte(v);
+			this.byte(v >> 8);
+		}
+
+		/**
+		 * 文字列（ASCII）を書く
+		 * @param {string} s 文字列
+		 */
+		str(s) {
+			for (let i = 0; i < s.length; i += 1) this.byte(s.charCodeAt(i));
+		}
+
+		/**
+		 * バイトの配列を書く
+		 * @param {Uint8Array} a 配列
+		 */
+		array(a) {
+			this._ensure(a.length);
+			this._buf.set(a, this._len);
+			this._len += a.length;
+		}
+
+		/**
+		 * 書いたバイト列を返す
+		 * @return {Uint8Array} バイト列
+		 */
+		bytes() {
+			return this._buf.slice(0, this._len);
+		}
+
+	}
+
+	/**
+	 * LZWで圧縮する（ライブラリ内だけで使用）
+	 * @param {Uint8Array} ids 色番号の配列
+	 * @param {number} minCodeSize 最小のコードの大きさ
+	 * @return {Uint8Array} 圧縮したデータ
+	 */
+	const lzwEncode = function (ids, minCodeSize) {
+		const clear = 1 << minCodeSize, eoi = clear + 1;
+		const w = new ByteWriter();
+		let cur = 0, curBits = 0;
+
+		const put = (code, size) => {
+			cur |= code << curBits;
+			curBits += size;
+			while (8 <= curBits) {
+				w.byte(cur);
+				cur >>>= 8;
+				curBits -= 8;
+			}
+		};
+		let dict = new Map();
+		let codeSize = minCodeSize + 1;
+		let next = eoi + 1;
+		put(clear, codeSize);
+
+		let prefix = ids[0];
+		for (let i = 1, I = ids.length; i < I; i += 1) {
+			const k = ids[i];
+			const key = (prefix << 8) | k;
+			const c = dict.get(key);
+			if (c !== undefined) {
+				prefix = c;
+				continue;
+			}
+			put(prefix, codeSize);
+			if (next < 4096) {
+				dict.set(key, next);
+				if (next === (1 << codeSize) && codeSize < 12) codeSize += 1;
+				next += 1;
+			} else {
+				// 辞書がいっぱいになったら作り直す
+				put(clear, codeSize);
+				dict = new Map();
+				codeSize = minCodeSize + 1;
+				next = eoi + 1;
+			}
+			prefix = k;
+		}
+		put(prefix, codeSize);
+		put(eoi, codeSize);
+		if (0 < curBits) w.byte(cur);
+		return w.bytes();
+	};
+
+
+	/**
+	 * SVG記録処理
+	 * - 紙にかいたパスを、変形を適用した座標でSVGの<path>要素として記録する
+	 * @version 2026-10-19
+	 */
+	class SvgRecorder {
+
+		/**
+		 * SVG記録処理を作る
+		 * @constructor
+		 */
+		constructor() {
+			this._isEnabled = false;
+			this._elements = [];
+			this._defs = [];
+			this._d = [];
+			this._hasPoint = false;
+		}
+
+		/**
+		 * 記録するか
+		 * @param {boolean=} val 記録するか
+		 * @return {boolean} 記録するか
+		 */
+		enabled(val) {
+			if (val === undefined) return this._isEnabled;
+			this._isEnabled = val;
+		}
+
+		/**
+		 * 記録した要素をすべて消す
+		 */
+		reset() {
+			this._elements.length = 0;
+			this._defs.length = 0;
+		}
+
+		/**
+		 * SVGの文字列を作る
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @return {string} SVGの文字列
+		 */
+		toSvg(width, height) {
+			const ls = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+			if (0 < this._defs.length) ls.push('<defs>', ...this._defs, '</defs>');
+			ls.push(...this._elements, '</svg>');
+			return ls.join('\n');
+		}
+
+
+		// パス ----------------------------------------------------------------
+
+
+		/**
+		 * パスを始める
+		 */
+		beginPath() {
+			this._d = [];
+			this._hasPoint = false;
+		}
+
+		/**
+		 * 移動する
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		moveTo(m, x, y) {
+			this._d.push('M' + pt(m, x, y));
+			this._hasPoint = true;
+		}
+
+		/**
+		 * 線をかく
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		lineTo(m, x, y) {
+			this._d.push((this._hasPoint ? 'L' : 'M') + pt(m, x, y));
+			this._hasPoint = true;
+		}
+
+		/**
+		 * 2次ベジェ曲線をかく
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} cpx 制御点x座標
+		 * @param {number} cpy 制御点y座標
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		quadraticCurveTo(m, cpx, cpy, x, y) {
+			if (!this._hasPoint) this.moveTo(m, cpx, cpy);
+			this._d.push('Q' + pt(m, cpx, cpy) + ' ' + pt(m, x, y));
+		}
+
+		/**
+		 * 3次ベジェ曲線をかく
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} cpx1 制御点1x座標
+		 * @param {number} cpy1 制御点1y座標
+		 * @param {number} cpx2 制御点2x座標
+		 * @param {number} cpy2 制御点2y座標
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		bezierCurveTo(m, cpx1, cpy1, cpx2, cpy2, x, y) {
+			if (!this._hasPoint) this.moveTo(m, cpx1, cpy1);
+			this._d.push('C' + pt(m, cpx1, cpy1) + ' ' + pt(m, cpx2, cpy2) + ' ' + pt(m, x, y));
+		}
+
+		/**
+		 * 楕円の弧をかく（3次ベジェ曲線に直して記録する）
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} x 中心x座標
+		 * @param {number} y 中心y座標
+		 * @param {number} rx 横半径
+		 * @param {number} ry たて半径
+		 * @param {number} rot 傾き [rad]
+		 * @param {number} r0 始まりの角度 [rad]
+		 * @param {number} r1 終わりの角度 [rad]
+		 * @param {boolean=} acw 反時計回りか
+		 */
+		ellipse(m, x, y, rx, ry, rot, r0, r1, acw = false) {
+			const TAU = Math.PI * 2;
+			let sweep = r1 - r0;
+			if (!acw) {
+				sweep = (TAU <= sweep) ? TAU : ((sweep % TAU) + TAU) % TAU;
+			} else {
+				sweep = (sweep <= -TAU) ? -TAU : ((sweep % TAU) - TAU) % TAU;
+			}
+			const cr = Math.cos(rot), sr = Math.sin(rot);
+			const e = (u, v) => pt(m, x + rx * u * cr - ry * v * sr, y + rx * u * sr + ry * v * cr);
+
+			const c0 = Math.cos(r0), s0 = Math.sin(r0);
+			this._d.push((this._hasPoint ? 'L' : 'M') + e(c0, s0));
+			this._hasPoint = true;
+
+			const segs = Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9);
+			const da = sweep / segs, k = 4 / 3 * Math.tan(da / 4);
+			for (let i = 0; i < segs; i += 1) {
+				const a0 = r0 + da * i, a1 = a0 + da;
+				const ca = Math.cos(a0), sa = Math.sin(a0), cb = Math.cos(a1), sb = Math.sin(a1);
+				this._d.push('C' + e(ca - k * sa, sa + k * ca) + ' ' + e(cb + k * sb, sb - k * cb) + ' ' + e(cb, sb));
+			}
+		}
+
+		/**
+		 * 四角形をかく
+		 * @param {DOMMatrix} m 変形行列
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
+		 */
+		rect(m, x, y, w, h) {
+			this._d.push('M' + pt(m, x, y), 'L' + pt(m, x + w, y), 'L' + pt(m, x + w, y + h), 'L' + pt(m, x, y + h), 'Z');
+			this.moveTo(m, x, y);
+		}
+
+		/**
+		 * パスを閉じる
+		 */
+		closePath() {
+			if (this._hasPoint) this._d.push('Z');
+		}
+
+
+		// 塗りと線 ------------------------------------------------------------
+
+
+		/**
+		 * 今のパスを塗りとして記録する
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @param {string=} fillRule 塗りのルール
+		 */
+		fill(ctx, fillRule) {
+			if (this._d.length === 0) return;
+			this._elements.push(`<path d="${this._d.join('')}"${this._fillAttr(ctx, fillRule)} stroke="none"/>`);
+		}
+
+		/**
+		 * 今のパスを線として記録する
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 */
+		stroke(ctx) {
+			if (this._d.length === 0) return;
+			this._elements.push(`<path d="${this._d.join('')}" fill="none"${this._strokeAttr(ctx)}/>`);
+		}
+
+		/**
+		 * 四角形を塗りとして記録する（今のパスは変えない）
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
+		 */
+		fillRect(ctx, x, y, w, h) {
+			const d = this._d, hp = this._hasPoint;
+			this.beginPath();
+			this.rect(ctx.getTransform(), x, y, w, h);
+			this.fill(ctx);
+			[this._d, this._hasPoint] = [d, hp];
+		}
+
+		/**
+		 * 四角形を線として記録する（今のパスは変えない）
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
+		 */
+		strokeRect(ctx, x, y, w, h) {
+			const d = this._d, hp = this._hasPoint;
+			this.beginPath();
+			this.rect(ctx.getTransform(), x, y, w, h);
+			this.stroke(ctx);
+			[this._d, this._hasPoint] = [d, hp];
+		}
+
+		/**
+		 * 塗りの属性を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @param {string=} fillRule 塗りのルール
+		 * @return {string} 属性の文字列
+		 */
+		_fillAttr(ctx, fillRule) {
+			const [paint, opacity] = this._paint(ctx, ctx.fillStyle);
+			let attr = ` fill="${paint}"`;
+			if (opacity < 1) attr += ` fill-opacity="${num(opacity)}"`;
+			if (fillRule === 'evenodd') attr += ' fill-rule="evenodd"';
+			return attr;
+		}
+
+		/**
+		 * 線の属性を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @return {string} 属性の文字列
+		 */
+		_strokeAttr(ctx) {
+			const t = ctx.getTransform();
+			const s = Math.sqrt(Math.abs(t.a * t.d - t.b * t.c));  // 変形による線の太さの倍率
+
+			const [paint, opacity] = this._paint(ctx, ctx.strokeStyle);
+			let attr = ` stroke="${paint}" stroke-width="${num(ctx.lineWidth * s)}"`;
+			if (opacity < 1) attr += ` stroke-opacity="${num(opacity)}"`;
+			if (ctx.lineCap !== 'butt') attr += ` stroke-linecap="${ctx.lineCap}"`;
+			if (ctx.lineJoin !== 'miter') attr += ` stroke-linejoin="${ctx.lineJoin}"`;
+			else if (ctx.miterLimit !== 10) attr += ` stroke-miterlimit="${num(ctx.miterLimit)}"`;
+
+			const dash = ctx.getLineDash();
+			if (0 < dash.length) {
+				attr += ` stroke-dasharray="${dash.map(v => num(v * s)).join(' ')}"`;
+				if (ctx.lineDashOffset !== 0) attr += ` stroke-dashoffset="${num(ctx.lineDashOffset * s)}"`;
+			}
+			return attr;
+		}
+
+		/**
+		 * スタイルをSVGの色に直す（ライブラリ内だけで使用）
+		 * @private
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 * @param {string|CanvasGradient|CanvasPattern} style スタイル
+		 * @return {Array} 色と不透明度
+		 */
+		_paint(ctx, style) {
+			const alpha = ctx.globalAlpha;
+			if (typeof style === 'string') {
+				const [c, a] = splitColor(style);
+				return [c, a * alpha];
+			}
+			const g = GRADIENT_INFO.get(style);
+			if (!g) return ['none', 1];  // パターンは記録しない
+
+			const id = 'grad' + (this._defs.length + 1);
+			const t = ctx.getTransform();
+			const mat = `matrix(${[t.a, t.b, t.c, t.d, t.e, t.f].map(num).join(' ')})`;
+			const p = g.params.map(num);
+			const head = (g.type === 'linear') ?
+				`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="${mat}" x1="${p[0]}" y1="${p[1]}" x2="${p[2]}" y2="${p[3]}">` :
+				`<radialGradient id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="${mat}" fx="${p[0]}" fy="${p[1]}" fr="${p[2]}" cx="${p[3]}" cy="${p[4]}" r="${p[5]}">`;
+			const stops = g.stops.map(([offset, color]) => {
+				const [c, a] = splitColor(normalizeColor(ctx, color));
+				return `<stop offset="${num(offset)}" stop-color="${c}"${(a < 1) ? ` stop-opacity="${num(a)}"` : ''}/>`;
+			});
+			this._defs.push([head, ...stops, (g.type === 'linear') ? '</linearGradient>' : '</radialGradient>'].join(''));
+			return [`url(#${id})`, alpha];
+		}
+
+	}
+
+	/**
+	 * 紙で作ったグラデーションの情報（SVGで使う）
+	 */
+	const GRADIENT_INFO = new WeakMap();
+
+	/**
+	 * 数をSVG用の文字列にする
+	 * @param {number} v 数
+	 * @return {string} 文字列
+	 */
+	const num = function (v) {
+		return '' + (Math.round(v * 1000) / 1000);
+	};
+
+	/**
+	 * 点を変形してSVG用の文字列にする
+	 * @param {DOMMatrix} m 変形行列
+	 * @param {number} x x座標
+	 * @param {number} y y座標
+	 * @return {string} 文字列
+	 */
+	const pt = function (m, x, y) {
+		return num(m.a * x + m.c * y + m.e) + ' ' + num(m.b * x + m.d * y + m.f);
+	};
+
+	/**
+	 * 色の文字列をキャンバスの形式（#rrggbbかrgba(…)）にそろえる
+	 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+	 * @param {string} color 色
+	 * @return {string} 色
+	 */
+	const normalizeColor = function (ctx, color) {
+		ctx.save();
+		ctx.fillStyle = color;
+		const c = ctx.fillStyle;
+		ctx.restore();
+		return c;
+	};
+
+	/**
+	 * 色の文字列を色と不透明度に分ける
+	 * @param {string} color キャンバスの形式の色
+	 * @return {Array} 色と不透明度
+	 */
+	const splitColor = function (color) {
+		const m = color.match(/^rgba\(\s*(\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\s*\)$/);
+		if (m) return [`rgb(${m[1]}, ${m[2]}, ${m[3]})`, parseFloat(m[4])];
+		return [color, 1];
+	};
+
+
+	/**
+	 * 紙
+	 * @version 2026-10-19
+	 */
+	class Paper {
+
+		/**
+		 * 紙を作る
+		 * @constructor
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @param {boolean} [isVisible=true] 画面に表示する？
+		 */
+		constructor(width, height, isVisible = true) {
+			const can = document.createElement('canvas');
+			can.setAttribute('width', '' + (width || 400));
+			can.setAttribute('height', '' + (height || 400));
+			can.setAttribute('tabindex', '1');
+
+			this._ctx = can.getContext('2d');
+			if (!PAPER_IS_AUGMENTED) augmentPaperPrototype(this._ctx);
+
+			// 画面に表示する場合は
+			if (isVisible === true) {
+				const style = document.createElement('style');
+				style.innerHTML = 'body>canvas{border:0 solid lightgray;display:inline-block;touch-action:none;outline:none;}';
+				document.head.appendChild(style);
+
+				can.id = 'canvas';
+				document.body.appendChild(can);
+				can.focus();
+			}
+			CANVAS_TO_PAPER[can] = this;
+			this._augment(can);
+			CROQUJS.currentPaper(this);
+
+			if (typeof STYLE !== 'undefined') STYLE.augment(this);
+		}
+
+		/**
+		 * 紙を強化する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {HTMLCanvasElement} can キャンバス要素
+		 */
+		_augment(can) {
+			this._prevTime = 0;
+			this._deltaTime = 0;
+			this._frame = 0;
+			this._fps = 60;
+			this._frameLength = 60;
+			this._totalFrame = 0;
+			this._isAnimating = false;
+			this._isGridVisible = true;
+			this._animation = null;
+			this._fixedDeltaTime = null;
+			this._loopToken = null;
+			this._layer = null;
+			this._viewCtx = this._ctx;  // 画面のキャンバス・コンテキスト（レイヤーを使うと紙の絵と分ける）
+
+			this._keyEventHandler = new KeyHandler(can);
+			this._gamepadHandler = new GamepadHandler(this._keyEventHandler);
+			this._mouseEventHandler = new MouseHandler(can);
+			this._pointerEventHandler = new PointerHandler(can);
+			this._zoomHandler = new ZoomHandler(this);
+			this._camera = new Camera(this);
+			this._recorder = new Recorder(can);
+			this._svgRecorder = new SvgRecorder();
+			this._transforms = [];
+			this._stackLevel = 0;
+			this.addEventListener = can.addEventListener.bind(can);
+
+			can.addEventListener('keydown', (e) => {
+				if (e.ctrlKey && String.fromCharCode(e.keyCode) === 'S') this.saveImage();
+			}, true);
+		}
+
+		/**
+		 * 横の大きさ
+		 * @param {number=} val 横の大きさ
+		 * @return {number|Paper} 横の大きさ／この紙
+		 */
+		width(val) {
+			if (val === undefined) return this.canvas.width;
+			this.canvas.width = val;
+			return this;
 		}
 
 		/**
@@ -860,6 +2176,7 @@ const CROQUJS = (function () {
 		 * @return {Paper} この紙
 		 */
 		clear(style, alpha) {
+			this._svgRecorder.reset();
 			this.save();
 			this._ctx.setTransform(1, 0, 0, 1, 0, 0);
 			if (alpha !== undefined) {
@@ -908,41 +2225,112 @@ const CROQUJS = (function () {
 
 		/**
 		 * アニメーションを始める
+		 * - 固定の時間差をセットしているときは、stepFrameを呼ぶたびに一コマずつ進める
 		 * @param {function} drawingCallback 一枚一枚の絵を書く関数
 		 * @param {Array} args_array 関数に渡す引数
 		 * @return {Paper} この紙
 		 */
 		animate(drawingCallback, args_array) {
-			const startTime = now();
+			this._animation = { callback: drawingCallback, args: args_array, time: 0 };
+			this._isAnimating = true;
+			if (this._fixedDeltaTime === null) this._startLoop();
+			return this;
+		}
+
+		/**
+		 * 実際の時間でアニメーションするループを始める（ライブラリ内だけで使用）
+		 * - アニメーションの時刻から続ける
+		 * - 新しくループを始めると、前のループは止まる
+		 * @private
+		 */
+		_startLoop() {
+			const token = {};
+			this._loopToken = token;
+			const ani = this._animation;
+			const startTime = now() - ani.time;
 			let prevFrame = -1;
 
 			const loop = () => {
+				if (this._loopToken !== token || this._fixedDeltaTime !== null) return;
 				const time = now();
 				this._deltaTime = time - this._prevTime;
 				const timeSpan = time - startTime;
 				const frame = Math.floor(timeSpan / (1000.0 / this._fps)) % this._frameLength;
 
 				if (frame !== prevFrame) {
-					this._frame = frame;
-					CROQUJS.currentPaper(this);
-					this._transforms.length = 0;
-					this._zoomHandler.beforeDrawing(this._ctx);
-					drawingCallback(...args_array);
-					if (this.mouseMiddle() && this._isGridVisible) this.drawGrid();
-					this._zoomHandler.afterDrawing(this._ctx);
-					if (this._zoomHandler.enabled()) {
-						for (const t of this._transforms) t();
-					}
+					this._drawFrame(frame, time);
 					prevFrame = frame;
-					this._totalFrame += 1;
 				}
-				if (this._isAnimating && this.canvas.parentNode !== null) {
+				ani.time = timeSpan;
+				if (this._isAnimating && this._viewCtx.canvas.parentNode !== null) {
 					window.requestAnimationFrame(loop);
 				}
 				this._prevTime = time;
 			};
-			this._isAnimating = true;
 			window.requestAnimationFrame(loop);
+		}
+
+		/**
+		 * 一コマをかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} frame フレーム
+		 * @param {number} time 時刻 [ms]
+		 */
+		_drawFrame(frame, time) {
+			this._frame = frame;
+			CROQUJS.currentPaper(this);
+			this._gamepadHandler.poll();
+			this._keyEventHandler.nextFrame();
+			this._transforms.length = 0;
+			this._zoomHandler.beforeDrawing(this._ctx);
+			this._camera.beforeDrawing(this._ctx);
+			this._animation.callback(...this._animation.args);
+			this._camera.afterDrawing(this._ctx);
+			if (this.mouseMiddle() && this._isGridVisible) this.drawGrid();
+			this._zoomHandler.afterDrawing(this._ctx);
+			if (this._isViewTransformed()) {
+				for (const t of this._transforms) t();
+			}
+			this.drawLayers();
+			this._recorder.afterDrawing(time);
+			this._totalFrame += 1;
+		}
+
+		/**
+		 * 固定の時間差 [ms]（nullなら実際の時間でアニメーションする）
+		 * - セットすると実際の時間を使わず、stepFrameで決まった時間ずつアニメーションを進める
+		 * - アニメーションの途中でnullに戻すと、実際の時間でのアニメーションを続ける
+		 * @param {number=} val 固定の時間差
+		 * @return {number|Paper} 固定の時間差／この紙
+		 */
+		fixedDeltaTime(val) {
+			if (val === undefined) return this._fixedDeltaTime;
+			const wasFixed = (this._fixedDeltaTime !== null);
+			this._fixedDeltaTime = val;
+			if (wasFixed && val === null && this._isAnimating && this._animation !== null) {
+				this._prevTime = now();  // 止まっていた間の時間差にしない
+				this._startLoop();
+			}
+			return this;
+		}
+
+		/**
+		 * アニメーションを決まった時間ずつ進める（固定の時間差をセットしているときだけ）
+		 * @param {number=} [num=1] 進めるコマ数
+		 * @return {Paper} この紙
+		 */
+		stepFrame(num = 1) {
+			if (this._fixedDeltaTime === null) throw new Error('CROQUJS::stepFrame: 先にfixedDeltaTimeで時間差をセットしてください。');
+			const ani = this._animation;
+			if (ani === null) return this;
+
+			const span = 1000.0 / this._fps;
+			for (let i = 0; i < num && this._isAnimating; i += 1) {
+				this._deltaTime = this._fixedDeltaTime;
+				const frame = Math.floor(ani.time / span + 1e-9) % this._frameLength;  // 小数の誤差でコマがずれないように
+				this._drawFrame(frame, ani.time);
+				ani.time += this._fixedDeltaTime;
+			}
 			return this;
 		}
 
@@ -1006,84 +2394,291 @@ const CROQUJS = (function () {
 
 
 		/**
-		 * 今の状態を保存する
+		 * ズームやカメラで見え方を変えているか（ライブラリ内だけで使用）
+		 * - 変えているときは、一コマの後で戻される変換を覚えておき、かけ直す
+		 * @private
+		 * @return {boolean} 見え方を変えているか
+		 */
+		_isViewTransformed() {
+			return this._zoomHandler.enabled() || this._camera.enabled();
+		}
+
+		/**
+		 * 今の状態を保存する
+		 */
+		save() {
+			this._ctx.save();
+			this._stackLevel += 1;
+		}
+
+		/**
+		 * 前の状態を復元する
+		 */
+		restore() {
+			this._ctx.restore();
+			this._stackLevel -= 1;
+		}
+
+		/**
+		 * 拡大・縮小する
+		 * @param {number} x 横方向の倍率
+		 * @param {number} y たて方向の倍率
+		 */
+		scale(x, y) {
+			this._ctx.scale(x, y);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.scale(x, y));
+		}
+
+		/**
+		 * 回転する
+		 * @param {number} angle ラジアン
+		 */
+		rotate(angle) {
+			this._ctx.rotate(angle);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.rotate(angle));
+		}
+
+		/**
+		 * 平行移動する
+		 * @param {number} x 横方向の移動
+		 * @param {number} y たて方向の移動
+		 */
+		translate(x, y) {
+			this._ctx.translate(x, y);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.translate(x, y));
+		}
+
+		/**
+		 * 変形する
+		 * @param {number} a 変形行列の係数a
+		 * @param {number} b 変形行列の係数b
+		 * @param {number} c 変形行列の係数c
+		 * @param {number} d 変形行列の係数d
+		 * @param {number} e 変形行列の係数e
+		 * @param {number} f 変形行列の係数f
+		 */
+		transform(a, b, c, d, e, f) {
+			this._ctx.transform(a, b, c, d, e, f);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.transform(a, b, c, d, e, f));
+		}
+
+		/**
+		 * 変形行列をセットする
+		 * @param {number} a 変形行列の係数a
+		 * @param {number} b 変形行列の係数b
+		 * @param {number} c 変形行列の係数c
+		 * @param {number} d 変形行列の係数d
+		 * @param {number} e 変形行列の係数e
+		 * @param {number} f 変形行列の係数f
+		 */
+		setTransform(a, b, c, d, e, f) {
+			this._ctx.setTransform(a, b, c, d, e, f);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.setTransform(a, b, c, d, e, f));
+		}
+
+		/**
+		 * 変形行列をリセットする
+		 */
+		resetTransform() {
+			this._ctx.resetTransform();
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.resetTransform());
+		}
+
+
+		// パス（SVGの記録） ----------------------------------------------------
+
+
+		/**
+		 * パスを始める
+		 */
+		beginPath() {
+			this._ctx.beginPath();
+			this._svgRecorder.beginPath();
+		}
+
+		/**
+		 * パスを閉じる
+		 */
+		closePath() {
+			this._ctx.closePath();
+			if (this._svgRecorder.enabled()) this._svgRecorder.closePath();
+		}
+
+		/**
+		 * 移動する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		moveTo(x, y) {
+			this._ctx.moveTo(x, y);
+			if (this._svgRecorder.enabled()) this._svgRecorder.moveTo(this._ctx.getTransform(), x, y);
+		}
+
+		/**
+		 * 線をかく
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		lineTo(x, y) {
+			this._ctx.lineTo(x, y);
+			if (this._svgRecorder.enabled()) this._svgRecorder.lineTo(this._ctx.getTransform(), x, y);
+		}
+
+		/**
+		 * 2次ベジェ曲線をかく
+		 * @param {number} cpx 制御点x座標
+		 * @param {number} cpy 制御点y座標
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		quadraticCurveTo(cpx, cpy, x, y) {
+			this._ctx.quadraticCurveTo(cpx, cpy, x, y);
+			if (this._svgRecorder.enabled()) this._svgRecorder.quadraticCurveTo(this._ctx.getTransform(), cpx, cpy, x, y);
+		}
+
+		/**
+		 * 3次ベジェ曲線をかく
+		 * @param {number} cpx1 制御点1x座標
+		 * @param {number} cpy1 制御点1y座標
+		 * @param {number} cpx2 制御点2x座標
+		 * @param {number} cpy2 制御点2y座標
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		bezierCurveTo(cpx1, cpy1, cpx2, cpy2, x, y) {
+			this._ctx.bezierCurveTo(cpx1, cpy1, cpx2, cpy2, x, y);
+			if (this._svgRecorder.enabled()) this._svgRecorder.bezierCurveTo(this._ctx.getTransform(), cpx1, cpy1, cpx2, cpy2, x, y);
+		}
+
+		/**
+		 * 円の弧をかく
+		 * @param {number} x 中心x座標
+		 * @param {number} y 中心y座標
+		 * @param {number} radius 半径
+		 * @param {number} startAngle 始まりの角度 [rad]
+		 * @param {number} endAngle 終わりの角度 [rad]
+		 * @param {boolean=} anticlockwise 反時計回りか
+		 */
+		arc(x, y, radius, startAngle, endAngle, anticlockwise) {
+			this._ctx.arc(x, y, radius, startAngle, endAngle, anticlockwise);
+			if (this._svgRecorder.enabled()) this._svgRecorder.ellipse(this._ctx.getTransform(), x, y, radius, radius, 0, startAngle, endAngle, anticlockwise);
+		}
+
+		/**
+		 * 楕円の弧をかく
+		 * @param {number} x 中心x座標
+		 * @param {number} y 中心y座標
+		 * @param {number} radiusX 横半径
+		 * @param {number} radiusY たて半径
+		 * @param {number} rotation 傾き [rad]
+		 * @param {number} startAngle 始まりの角度 [rad]
+		 * @param {number} endAngle 終わりの角度 [rad]
+		 * @param {boolean=} anticlockwise 反時計回りか
 		 */
-		save() {
-			this._ctx.save();
-			this._stackLevel += 1;
+		ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise) {
+			this._ctx.ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise);
+			if (this._svgRecorder.enabled()) this._svgRecorder.ellipse(this._ctx.getTransform(), x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise);
 		}
 
 		/**
-		 * 前の状態を復元する
+		 * 四角形をかく
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
 		 */
-		restore() {
-			this._ctx.restore();
-			this._stackLevel -= 1;
+		rect(x, y, w, h) {
+			this._ctx.rect(x, y, w, h);
+			if (this._svgRecorder.enabled()) this._svgRecorder.rect(this._ctx.getTransform(), x, y, w, h);
 		}
 
 		/**
-		 * 拡大・縮小する
-		 * @param {number} x 横方向の倍率
-		 * @param {number} y たて方向の倍率
+		 * パスを塗る
+		 * @param {...*} args 引数（塗りのルールなど）
 		 */
-		scale(x, y) {
-			this._ctx.scale(x, y);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.scale(x, y));
+		fill(...args) {
+			this._ctx.fill(...args);
+			if (this._svgRecorder.enabled() && (args.length === 0 || typeof args[0] === 'string')) {
+				this._svgRecorder.fill(this._ctx, args[0]);
+			}
 		}
 
 		/**
-		 * 回転する
-		 * @param {number} angle ラジアン
+		 * パスの線をかく
+		 * @param {...*} args 引数
 		 */
-		rotate(angle) {
-			this._ctx.rotate(angle);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.rotate(angle));
+		stroke(...args) {
+			this._ctx.stroke(...args);
+			if (this._svgRecorder.enabled() && args.length === 0) this._svgRecorder.stroke(this._ctx);
 		}
 
 		/**
-		 * 平行移動する
-		 * @param {number} x 横方向の移動
-		 * @param {number} y たて方向の移動
+		 * 四角形を塗る
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
 		 */
-		translate(x, y) {
-			this._ctx.translate(x, y);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.translate(x, y));
+		fillRect(x, y, w, h) {
+			this._ctx.fillRect(x, y, w, h);
+			if (this._svgRecorder.enabled()) this._svgRecorder.fillRect(this._ctx, x, y, w, h);
 		}
 
 		/**
-		 * 変形する
-		 * @param {number} a 変形行列の係数a
-		 * @param {number} b 変形行列の係数b
-		 * @param {number} c 変形行列の係数c
-		 * @param {number} d 変形行列の係数d
-		 * @param {number} e 変形行列の係数e
-		 * @param {number} f 変形行列の係数f
+		 * 四角形の線をかく
+		 * @param {number} x 左上x座標
+		 * @param {number} y 左上y座標
+		 * @param {number} w 横の大きさ
+		 * @param {number} h たての大きさ
 		 */
-		transform(a, b, c, d, e, f) {
-			this._ctx.transform(a, b, c, d, e, f);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.transform(a, b, c, d, e, f));
+		strokeRect(x, y, w, h) {
+			this._ctx.strokeRect(x, y, w, h);
+			if (this._svgRecorder.enabled()) this._svgRecorder.strokeRect(this._ctx, x, y, w, h);
 		}
 
 		/**
-		 * 変形行列をセットする
-		 * @param {number} a 変形行列の係数a
-		 * @param {number} b 変形行列の係数b
-		 * @param {number} c 変形行列の係数c
-		 * @param {number} d 変形行列の係数d
-		 * @param {number} e 変形行列の係数e
-		 * @param {number} f 変形行列の係数f
+		 * 線形グラデーションを作る
+		 * @param {number} x0 始まりのx座標
+		 * @param {number} y0 始まりのy座標
+		 * @param {number} x1 終わりのx座標
+		 * @param {number} y1 終わりのy座標
+		 * @return {CanvasGradient} グラデーション
 		 */
-		setTransform(a, b, c, d, e, f) {
-			this._ctx.setTransform(a, b, c, d, e, f);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.setTransform(a, b, c, d, e, f));
+		createLinearGradient(x0, y0, x1, y1) {
+			return this._makeGradient('linear', [x0, y0, x1, y1]);
 		}
 
 		/**
-		 * 変形行列をリセットする
+		 * 円形グラデーションを作る
+		 * @param {number} x0 始まりの円の中心x座標
+		 * @param {number} y0 始まりの円の中心y座標
+		 * @param {number} r0 始まりの円の半径
+		 * @param {number} x1 終わりの円の中心x座標
+		 * @param {number} y1 終わりの円の中心y座標
+		 * @param {number} r1 終わりの円の半径
+		 * @return {CanvasGradient} グラデーション
 		 */
-		resetTransform() {
-			this._ctx.resetTransform();
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.resetTransform());
+		createRadialGradient(x0, y0, r0, x1, y1, r1) {
+			return this._makeGradient('radial', [x0, y0, r0, x1, y1, r1]);
+		}
+
+		/**
+		 * グラデーションを作り、SVGのために情報を覚えておく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} type 種類（'linear'か'radial'）
+		 * @param {number[]} params パラメター
+		 * @return {CanvasGradient} グラデーション
+		 */
+		_makeGradient(type, params) {
+			const g = (type === 'linear') ? this._ctx.createLinearGradient(...params) : this._ctx.createRadialGradient(...params);
+			const info = { type, params, stops: [] };
+			const addColorStop = g.addColorStop.bind(g);
+			g.addColorStop = (offset, color) => {
+				addColorStop(offset, color);
+				info.stops.push([offset, color]);
+			};
+			GRADIENT_INFO.set(g, info);
+			return g;
 		}
 
 
@@ -1092,13 +2687,28 @@ const CROQUJS = (function () {
 
 		/**
 		 * 新しいページを作る
+		 * - レイヤーの設定を渡すと、ページはレイヤーになり、アニメーションの一コマごとにこの紙の絵と重ねて画面にかかれる
+		 * - レイヤーの設定は{ order: 順番, alpha: 不透明度, blendMode: 重ね方, visible: 表示するか }
+		 * - 順番が0以上なら紙の絵の上に、負の数なら紙の絵の下に重ねる（紙の絵の下に重ねるときは重ね方を使わない）
+		 * - レイヤーを作ると、この紙の絵は画面と分かれ、drawLayersでレイヤーと合成して画面に表示される（drawLayersを参照）
 		 * @param {string} pageName ページの名前
+		 * @param {Object=} opt_layer レイヤーの設定
 		 * @return {Paper} ページ
 		 */
-		makePage(pageName) {
+		makePage(pageName, opt_layer) {
 			if (!this._pages) this._pages = {};
-			this._pages[pageName] = new CROQUJS.Paper(this.width(), this.height(), false);
-			return this._pages[pageName];
+			if (!this._layers) this._layers = [];
+			const old = this._pages[pageName];
+			if (old) this._layers = this._layers.filter(l => (l !== old));
+
+			const page = new CROQUJS.Paper(this.width(), this.height(), false);
+			if (opt_layer !== undefined) {
+				page._layer = Object.assign({ order: 1, alpha: 1, blendMode: 'source-over', visible: true }, opt_layer);
+				this._layers.push(page);
+				this._separateView();
+			}
+			this._pages[pageName] = page;
+			return page;
 		}
 
 		/**
@@ -1112,6 +2722,121 @@ const CROQUJS = (function () {
 		}
 
 
+		// レイヤー -------------------------------------------------------------
+
+
+		/**
+		 * レイヤーの順番（0以上なら紙の絵の上、負の数なら紙の絵の下に重ねる）
+		 * @param {number=} val 順番
+		 * @return {number|Paper} 順番／この紙
+		 */
+		layerOrder(val) {
+			return this._layerProperty('order', val);
+		}
+
+		/**
+		 * レイヤーの不透明度
+		 * @param {number=} val 不透明度
+		 * @return {number|Paper} 不透明度／この紙
+		 */
+		layerAlpha(val) {
+			return this._layerProperty('alpha', val);
+		}
+
+		/**
+		 * レイヤーの重ね方（'source-over'、'multiply'、'screen'、'lighter'など）
+		 * @param {string=} val 重ね方
+		 * @return {string|Paper} 重ね方／この紙
+		 */
+		layerBlendMode(val) {
+			return this._layerProperty('blendMode', val);
+		}
+
+		/**
+		 * レイヤーを表示するか
+		 * @param {boolean=} val 表示するか
+		 * @return {boolean|Paper} 表示するか／この紙
+		 */
+		layerVisible(val) {
+			return this._layerProperty('visible', val);
+		}
+
+		/**
+		 * レイヤーの設定をもらう、セットする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} name 設定の名前
+		 * @param {*=} val 値
+		 * @return {*|Paper} 値／この紙
+		 */
+		_layerProperty(name, val) {
+			if (this._layer === null) throw new Error('CROQUJS::layer: この紙はレイヤーではありません。');
+			if (val === undefined) return this._layer[name];
+			this._layer[name] = val;
+			return this;
+		}
+
+		/**
+		 * レイヤーとこの紙の絵を合成して画面にかく（アニメーションしているときは一コマごとに自動でよばれる）
+		 * - この紙の絵はそのまま残るので、紙を消すかどうかや、getPixelやsaveImageで読む絵はレイヤーに関係ない
+		 * - レイヤーを使う紙は、これを呼んだときに画面が変わる
+		 * @return {Paper} この紙
+		 */
+		drawLayers() {
+			const view = this._viewCtx;
+			if (view === this._ctx) return this;
+			const ls = this._layers.filter(l => l._layer.visible);
+			// 同じ順番なら後で作ったレイヤーを上にする
+			const below = ls.filter(l => l._layer.order < 0).sort((a, b) => a._layer.order - b._layer.order);
+			const above = ls.filter(l => 0 <= l._layer.order).sort((a, b) => a._layer.order - b._layer.order);
+
+			const can = this._ctx.canvas;
+			if (view.canvas.width !== can.width) view.canvas.width = can.width;
+			if (view.canvas.height !== can.height) view.canvas.height = can.height;
+			view.save();
+			view.setTransform(1, 0, 0, 1, 0, 0);
+			view.clearRect(0, 0, can.width, can.height);
+			for (const l of below) {
+				view.globalAlpha = l._layer.alpha;
+				view.drawImage(l.canvas, 0, 0);
+			}
+			view.globalAlpha = 1;
+			view.drawImage(can, 0, 0);
+			for (const l of above) {
+				view.globalAlpha = l._layer.alpha;
+				view.globalCompositeOperation = l._layer.blendMode;
+				view.drawImage(l.canvas, 0, 0);
+			}
+			view.restore();
+			return this;
+		}
+
+		/**
+		 * 紙の絵を画面と分ける（ライブラリ内だけで使用）
+		 * - 今の絵と設定を画面に出ないキャンバスに写し、これからはそこにかく
+		 * @private
+		 */
+		_separateView() {
+			const view = this._viewCtx;
+			if (view !== this._ctx) return;
+			const can = document.createElement('canvas');
+			can.width  = view.canvas.width;
+			can.height = view.canvas.height;
+			const ctx = can.getContext('2d');
+			ctx.drawImage(view.canvas, 0, 0);
+			for (const p of CONTEXT_PROPERTIES) ctx[p] = view[p];
+			ctx.setLineDash(view.getLineDash());
+			ctx.setTransform(view.getTransform());
+			this._ctx = ctx;
+
+			// 画面は合成するだけなので、設定を元に戻しておく
+			view.setTransform(1, 0, 0, 1, 0, 0);
+			view.globalAlpha = 1;
+			view.globalCompositeOperation = 'source-over';
+			view.filter = 'none';
+			view.shadowColor = 'rgba(0, 0, 0, 0)';
+		}
+
+
 		// 子の紙 ---------------------------------------------------------------
 
 
@@ -1149,6 +2874,20 @@ const CROQUJS = (function () {
 			return this._ruler;
 		}
 
+		/**
+		 * 文字をかく（定規のフォントとスタイルを使う）
+		 * @param {string} str 文字列
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {string=} [opt_mode='fill'] かくモード
+		 * @param {number=} [opt_maxWidth=null] 最大の横幅（指定すると折り返す）
+		 * @return {Paper} この紙
+		 */
+		text(str, x, y, opt_mode = 'fill', opt_maxWidth = null) {
+			this.getRuler().text(str, x, y, opt_maxWidth).draw(opt_mode);
+			return this;
+		}
+
 		/**
 		 * 紙にかいた絵をファイルに保存する
 		 * @param {string=} fileName ファイル名
@@ -1156,25 +2895,83 @@ const CROQUJS = (function () {
 		 * @return {Paper} この紙
 		 */
 		saveImage(fileName, type) {
-			const canvasToBlob = function (canvas, type) {
-				const data = atob(canvas.toDataURL(type).split(',')[1]);
-				const buf = new Uint8Array(data.length);
-
-				for (let i = 0, I = data.length; i < I; i += 1) {
-					buf[i] = data.charCodeAt(i);
-				}
-				return new Blob([buf], { type: type || 'image/png' });
-			};
-			const saveBlob = function (blob, fileName) {
-				const a = document.createElement('a');
-				a.href = window.URL.createObjectURL(blob);
-				a.download = fileName;
-				a.click();
-			};
 			saveBlob(canvasToBlob(this.canvas, type), fileName || 'default.png');
 			return this;
 		}
 
+		/**
+		 * 録画を始める（アニメーションの一コマ一コマを記録する）
+		 * @param {number=} [fps=10] 1秒間のコマ数
+		 * @param {number=} [opt_duration=null] 録画する時間 [s]（指定すると、その時間で止めて保存する）
+		 * @param {string=} [type='gif'] ファイルの種類（'gif'か'webm'）
+		 * @return {Paper} この紙
+		 */
+		startRecording(fps = 10, opt_duration = null, type = 'gif') {
+			this._recorder.start(fps, opt_duration, type, null);
+			return this;
+		}
+
+		/**
+		 * 録画を止めてファイルに保存する
+		 * @param {string=} fileName ファイル名
+		 * @return {Paper} この紙
+		 */
+		stopRecording(fileName) {
+			this._recorder.stop(fileName || this._recorder.defaultFileName());
+			return this;
+		}
+
+		/**
+		 * 録画中か？
+		 * @return {boolean} 録画中か
+		 */
+		isRecording() {
+			return this._recorder.isRecording();
+		}
+
+		/**
+		 * 決めた時間だけ録画して、ファイルに保存する
+		 * - ファイル名が「.webm」で終わるときは動画（WebM）、そのほかはアニメGIFで保存する
+		 * @param {string=} [fileName='default.gif'] ファイル名
+		 * @param {number=} [fps=10] 1秒間のコマ数
+		 * @param {number=} [duration=5] 録画する時間 [s]
+		 * @return {Paper} この紙
+		 */
+		record(fileName = 'default.gif', fps = 10, duration = 5) {
+			const type = /\.webm$/i.test(fileName) ? 'webm' : 'gif';
+			this._recorder.start(fps, duration, type, fileName);
+			return this;
+		}
+
+		/**
+		 * かいたパスをSVGとして記録するか
+		 * - 記録している間に紙をクリアすると、それまでの記録は消える
+		 * @param {boolean=} val 記録するか
+		 * @return {boolean|Paper} 記録するか／この紙
+		 */
+		svgEnabled(val) {
+			if (val === undefined) return this._svgRecorder.enabled();
+			this._svgRecorder.enabled(val);
+			return this;
+		}
+
+		/**
+		 * 記録したパスをSVGの文字列にする
+		 * @return {string} SVGの文字列
+		 */
+		toSvg() {
+			return this._svgRecorder.toSvg(this.width(), this.height());
+		}
+
+		/**
+		 * 記録したパスをSVGファイルとして保存する
+		 * @param {string=} [fileName='default.svg'] ファイル名
+		 * @return {Paper} この紙
+		 */
+		saveSvg(fileName = 'default.svg') {
+			saveBlob(new Blob([this.toSvg()], { type: 'image/svg+xml' }), fileName);
+			return this;
+		}
 
 		/**
 		 * ホイールクリックでグリッドを表示するか
@@ -1194,6 +2991,8 @@ const CROQUJS = (function () {
 			const w = this.width(), h = this.height();
 			const wd = Math.floor(w / 10), hd = Math.floor(h / 10);
 
+			const svg = this._svgRecorder.enabled();
+			this._svgRecorder.enabled(false);  // グリッドは記録しない
 			this.save();
 			this.lineWidth = 1;
 			this.strokeStyle = 'White';
@@ -1214,6 +3013,16 @@ const CROQUJS = (function () {
 				this.stroke();
 			}
 			this.restore();
+			this._svgRecorder.enabled(svg);
+		}
+
+		/**
+		 * カメラをもらう
+		 * - カメラを使うと、紙に写す世界の場所、拡大率、回転を決められる
+		 * @return {Camera} カメラ
+		 */
+		camera() {
+			return this._camera;
 		}
 
 		/**
@@ -1286,6 +3095,95 @@ const CROQUJS = (function () {
 		}
 
 
+		// ゲームパッド ---------------------------------------------------------
+
+
+		/**
+		 * ゲームパッドのボタンが押された、離されたときに対応する関数をセットする
+		 * - ゲームパッドはアニメーションしている間だけ調べる
+		 * @param {function(number, boolean, number):void=} handler 関数（ボタンの番号、押されているか、ゲームパッドの番号）
+		 * @return {function(number, boolean, number):void|Paper} 関数／この紙
+		 */
+		onGamepadButton(handler) {
+			if (handler === undefined) return this._gamepadHandler.onGamepadButton();
+			this._gamepadHandler.onGamepadButton(handler);
+			return this;
+		}
+
+		/**
+		 * ゲームパッドのボタンをキーに割り当てる
+		 * - はじめは十字キーがカーソル・キーに、Aボタン（0番）がスペース・キーに割り当てられている
+		 * @param {Object<number, string>=} map ボタンの番号とキーの対応（nullなら割り当てない）
+		 * @return {Object<number, string>|Paper} ボタンの番号とキーの対応／この紙
+		 */
+		gamepadKeyMap(map) {
+			if (map === undefined) return this._gamepadHandler.gamepadKeyMap();
+			this._gamepadHandler.gamepadKeyMap(map);
+			return this;
+		}
+
+		/**
+		 * ゲームパッドがつながっているか？
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {boolean} つながっているか
+		 */
+		gamepadConnected(index = 0) {
+			return this._gamepadHandler.gamepadConnected(index);
+		}
+
+		/**
+		 * ゲームパッドのボタンが押されているか？
+		 * @param {number} button ボタンの番号
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {boolean} 押されているか
+		 */
+		gamepadButton(button, index = 0) {
+			return this._gamepadHandler.gamepadButton(button, index);
+		}
+
+		/**
+		 * ゲームパッドの軸（スティック）の値を返す
+		 * @param {number} axis 軸の番号
+		 * @param {number=} [index=0] ゲームパッドの番号
+		 * @return {number} 値（-1～1）
+		 */
+		gamepadAxis(axis, index = 0) {
+			return this._gamepadHandler.gamepadAxis(axis, index);
+		}
+
+
+		// キーの状態 -----------------------------------------------------------
+
+
+		/**
+		 * キーが押されているか？
+		 * - 'Shift+ArrowUp'のように「+」でつなぐと、すべてのキーが押されているかを調べる
+		 * @param {string} combo キー
+		 * @return {boolean} キーが押されているか
+		 */
+		isKeyDown(combo) {
+			return this._keyEventHandler.isKeyDown(combo);
+		}
+
+		/**
+		 * このコマでキーが押されたか？（アニメーションの一コマごとに変わる）
+		 * @param {string} combo キー
+		 * @return {boolean} キーが押されたか
+		 */
+		isKeyPressed(combo) {
+			return this._keyEventHandler.isKeyPressed(combo);
+		}
+
+		/**
+		 * このコマでキーが離されたか？（アニメーションの一コマごとに変わる）
+		 * @param {string} combo キー
+		 * @return {boolean} キーが離されたか
+		 */
+		isKeyReleased(combo) {
+			return this._keyEventHandler.isKeyReleased(combo);
+		}
+
+
 		// マウス ---------------------------------------------------------------
 
 
@@ -1384,6 +3282,52 @@ const CROQUJS = (function () {
 			return this._mouseEventHandler.mouseMiddle();
 		}
 
+
+		// ポインター -----------------------------------------------------------
+
+
+		/**
+		 * ポインター・ダウン（ボタンが押された、画面にふれた）イベントに対応する関数をセットする
+		 * - 関数には、そのポインターの情報（id、x、y、pressure、tiltX、tiltY、pointerTypeなど）と、今ふれているポインターすべての情報が渡される
+		 * @param {function(Object, Object[], PointerEvent):void=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerDown(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerDown();
+			this._pointerEventHandler.onPointerDown(handler);
+			return this;
+		}
+
+		/**
+		 * ポインター・ムーブ（ポインターが移動した）イベントに対応する関数をセットする
+		 * @param {function(Object, Object[], PointerEvent):void=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerMove(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerMove();
+			this._pointerEventHandler.onPointerMove(handler);
+			return this;
+		}
+
+		/**
+		 * ポインター・アップ（ボタンが離された、画面から離れた）イベントに対応する関数をセットする
+		 * @param {function(Object, Object[], PointerEvent):void=} handler 関数
+		 * @return {function(Object, Object[], PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerUp(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerUp();
+			this._pointerEventHandler.onPointerUp(handler);
+			return this;
+		}
+
+		/**
+		 * 今ふれている（ボタンが押されている）ポインターすべての情報を返す
+		 * @return {Object[]} ポインターの情報の配列
+		 */
+		pointers() {
+			return this._pointerEventHandler.pointers();
+		}
+
 	};
 
 	let PAPER_IS_AUGMENTED = false;
@@ -1409,6 +3353,45 @@ const CROQUJS = (function () {
 	// ユーティリティ関数 ------------------------------------------------------
 
 
+	/**
+	 * キャンバスを替えるときに引き継ぐ、キャンバス・コンテキストの設定
+	 */
+	const CONTEXT_PROPERTIES = [
+		'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'lineDashOffset',
+		'font', 'textAlign', 'textBaseline', 'direction', 'globalAlpha', 'globalCompositeOperation',
+		'shadowBlur', 'shadowColor', 'shadowOffsetX', 'shadowOffsetY', 'imageSmoothingEnabled', 'filter',
+	];
+
+	/**
+	 * キーの別名
+	 */
+	const KEY_ALIASES = {
+		'ctrl': 'Control', 'control': 'Control', 'shift': 'Shift', 'alt': 'Alt', 'meta': 'Meta', 'cmd': 'Meta',
+		'space': ' ', 'esc': 'Escape', 'enter': 'Enter', 'tab': 'Tab',
+	};
+
+	/**
+	 * キーの名前をそろえる（1文字のキーは小文字に、別名は正式な名前にする）
+	 * @param {string} key キー
+	 * @return {string} キー
+	 */
+	const normalizeKey = function (key) {
+		if (key.length === 1) return key.toLowerCase();
+		const a = KEY_ALIASES[key.toLowerCase()];
+		return (a === undefined) ? key : a;
+	};
+
+	/**
+	 * 「+」でつないだキーを分ける
+	 * @param {string} combo キー（'Shift+ArrowUp'など）
+	 * @return {string[]} キーの配列
+	 */
+	const parseKeyCombo = function (combo) {
+		if (combo === '+') return ['+'];
+		const ks = combo.endsWith('++') ? [...combo.slice(0, -2).split('+'), '+'] : combo.split('+');
+		return ks.map(k => normalizeKey(k.trim() === '' ? k : k.trim()));
+	};
+
 	/**
 	 * 今のミリ秒を得る
 	 * @return {number} 今のミリ秒
@@ -1417,6 +3400,34 @@ const CROQUJS = (function () {
 		return window.performance.now();
 	};
 
+	/**
+	 * キャンバスの絵をファイルのデータにする
+	 * @param {HTMLCanvasElement} canvas キャンバス
+	 * @param {string=} type ファイルの種類
+	 * @return {Blob} ファイルのデータ
+	 */
+	const canvasToBlob = function (canvas, type) {
+		const data = atob(canvas.toDataURL(type).split(',')[1]);
+		const buf = new Uint8Array(data.length);
+
+		for (let i = 0, I = data.length; i < I; i += 1) {
+			buf[i] = data.charCodeAt(i);
+		}
+		return new Blob([buf], { type: type || 'image/png' });
+	};
+
+	/**
+	 * ファイルのデータをダウンロードして保存する
+	 * @param {Blob} blob ファイルのデータ
+	 * @param {string} fileName ファイル名
+	 */
+	const saveBlob = function (blob, fileName) {
+		const a = document.createElement('a');
+		a.href = window.URL.createObjectURL(blob);
+		a.download = fileName;
+		a.click();
+	};
+
 	/**
 	 * 例外を除き画面上の要素をすべて削除する
 	 * @param {...HTMLElement} exception 例外の要素
@@ -1486,9 +3497,70 @@ const CROQUJS = (function () {
 	}
 
 
+	/**
+	 * 画像の読み込み
+	 * @version 2026-10-19
+	 */
+
+
+	/**
+	 * 読み込んだ（読み込み中の）画像
+	 */
+	const IMAGES = new Map();
+
+	/**
+	 * 画像の情報をもらう（なければ読み込みを始める）
+	 * @param {string} src 画像のURL
+	 * @return {{image: HTMLImageElement, promise: Promise<HTMLImageElement>}} 画像の情報
+	 */
+	const getImageEntry = function (src) {
+		if (IMAGES.has(src)) return IMAGES.get(src);
+		const image = new Image();
+		const promise = new Promise((resolve, reject) => {
+			image.onload  = () => resolve(image);
+			image.onerror = () => reject(new Error(`CROQUJS::loadImage: 画像「${src}」を読み込めませんでした。`));
+		});
+		// 誰も待っていない画像が読み込めなくても、処理されないエラーにしない（loadImageは元のプロミスを返す）
+		promise.catch(() => {});
+		image.src = src;
+		const e = { image, promise };
+		IMAGES.set(src, e);
+		return e;
+	};
+
+	/**
+	 * 画像（PNGやJPEG）を読み込む
+	 * - setup関数より前に読み込みを始めた画像は、読み込み終わってからsetup関数が呼ばれる
+	 * - そのとき読み込めなかった画像があれば、エラーをコンソールに出してからsetup関数が呼ばれる
+	 * @param {string} src 画像のURL（HTMLファイルからの相対パス）
+	 * @return {Promise<HTMLImageElement>} 読み込み終わったら画像を返すプロミス（読み込めなかったらエラーで失敗する）
+	 */
+	function loadImage(src) {
+		return getImageEntry(src).promise;
+	}
+
+	/**
+	 * 画像をもらう（読み込んでいなければ読み込みを始める）
+	 * - setup関数より後に読み込みを始めた画像が読み込めなくても、エラーは出さない（知りたいときはloadImageを使う）
+	 * @param {string} src 画像のURL（HTMLファイルからの相対パス）
+	 * @return {HTMLImageElement} 画像
+	 */
+	function getImage(src) {
+		return getImageEntry(src).image;
+	}
+
+	/**
+	 * 今までに読み込みを始めた画像が、すべて読み込み終わるのを待つ
+	 * @return {Promise<HTMLImageElement[]>} 読み込み終わったら画像の配列を返すプロミス
+	 */
+	function imagesLoaded() {
+		return Promise.all([...IMAGES.values()].map(e => e.promise));
+	}
+
+
 	// ライブラリを作る --------------------------------------------------------
 
 
-	return { Paper, now, removeAll, currentPaper, loadScript, loadScriptSync };
+	return { Paper, now, removeAll, currentPaper, loadScript, loadScriptSync, loadImage, getImage, imagesLoaded };
 
 }());
\ No newline at end of file
@@ -0,0 +1,598 @@
+/**
+ * ロゴ・ライブラリ（LOGO）
+ *
+ * 「repeat 5 [cl 90 72 90 tl 72]」のような文字の命令で、カメやトレーサーを動かすためのライブラリです。
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+
+/**
+ * ライブラリ変数
+ */
+const LOGO = (function () {
+
+	'use strict';
+
+
+	// ライブラリ中だけで使用するユーティリティ --------------------------------
+
+
+	/**
+	 * 命令（名前：[関数の名前, 最小の引数の数, 最大の引数の数]）
+	 */
+	const COMMANDS = {};
+
+	/**
+	 * 命令を登録する
+	 * @param {string} method 関数の名前
+	 * @param {number} min 最小の引数の数
+	 * @param {number} max 最大の引数の数
+	 * @param {string[]} aliases 別名
+	 */
+	const addCommand = function (method, min, max, aliases = []) {
+		for (const n of [method, ...aliases]) COMMANDS[n] = [method, min, max];
+	};
+
+	addCommand('go',         1, 1, ['forward', 'fd']);
+	addCommand('back',       1, 1, ['bk', 'backward']);
+	addCommand('turnRight',  1, 1, ['tr', 'right', 'rt']);
+	addCommand('turnLeft',   1, 1, ['tl', 'left', 'lt']);
+	addCommand('curveRight', 3, 5, ['cr']);
+	addCommand('curveLeft',  3, 5, ['cl']);
+	addCommand('arcRight',   2, 2, ['ar']);
+	addCommand('arcLeft',    2, 2, ['al']);
+	addCommand('pitchUp',    1, 1);
+	addCommand('pitchDown',  1, 1);
+	addCommand('rollRight',  1, 1);
+	addCommand('rollLeft',   1, 1);
+	addCommand('x',          1, 1);
+	addCommand('y',          1, 1);
+	addCommand('direction',  1, 1, ['heading']);
+	addCommand('moveTo',     2, 3);
+	addCommand('home',       0, 0);
+	addCommand('setHome',    0, 0);
+	addCommand('step',       1, 1, ['unit']);
+	addCommand('penUp',      0, 0, ['pu', 'up']);
+	addCommand('penDown',    0, 0, ['pd', 'down']);
+	addCommand('dot',        0, 0);
+	addCommand('circle',     1, 2);
+	addCommand('save',       0, 0);
+	addCommand('restore',    0, 0);
+
+	/**
+	 * 予約語
+	 */
+	const KEYWORDS = ['repeat', 'if', 'ifelse', 'make', 'to', 'end', 'stop', 'repcount'];
+
+	/**
+	 * 手続きを呼び出せる深さの最大
+	 */
+	const MAX_DEPTH = 1000;
+
+	/**
+	 * エラーを作る
+	 * @param {function} type エラーの種類
+	 * @param {string} fn 関数の名前
+	 * @param {string} msg メッセージ
+	 * @param {object} pos 場所（line、col）
+	 * @return {Error} エラー
+	 */
+	const makeError = function (type, fn, msg, pos) {
+		const e = new type(`LOGO::${fn}: ${pos.line}行目${pos.col}文字目: ${msg}`);
+		e.line = pos.line;
+		e.col = pos.col;
+		return e;
+	};
+
+	/**
+	 * 文字列を字句に分ける
+	 * - 前に空白があり、すぐ後に数字か「(」が続く「-」は、引き算ではなく符号とする（「moveTo 100 -50」は2つの引数になる）
+	 * @param {string} src 文字列
+	 * @return {object[]} 字句の配列
+	 */
+	const tokenize = function (src) {
+		const re = /(\s+)|(;[^\n]*)|(\d+(?:\.\d*)?|\.\d+)|([:"]?[\p{L}_][\p{L}\p{N}_]*)|(<=|>=|<>|[\[\]()+\-*/%<>=])|(.)/gyu;
+		const ts = [];
+		let line = 1, lineStart = 0, m;
+		let isAfterSpace = true;
+		while ((m = re.exec(src)) !== null) {
+			const pos = { line, col: m.index - lineStart + 1 };
+			const isSpace = Boolean(m[1] || m[2]);
+			if (isSpace) {
+				for (let i = m.index; i < re.lastIndex; i += 1) {
+					if (src[i] === '\n') {
+						line += 1;
+						lineStart = i + 1;
+					}
+				}
+			} else if (m[3]) {
+				ts.push({ type: 'num', value: parseFloat(m[3]), pos });
+			} else if (m[4]) {
+				const w = m[4];
+				if (w[0] === ':') ts.push({ type: 'var', value: w.substring(1), pos });
+				else if (w[0] === '"') ts.push({ type: 'str', value: w.substring(1), pos });
+				else ts.push({ type: 'word', value: w, pos });
+			} else if (m[5]) {
+				const isSign = m[5] === '-' && isAfterSpace && /[\d.(]/.test(src[re.lastIndex] || '');
+				ts.push({ type: 'sym', value: m[5], pos, isSign });
+			} else {
+				throw makeError(SyntaxError, 'parse', `「${m[6]}」は使えない文字です。`, pos);
+			}
+			isAfterSpace = isSpace;
+		}
+		ts.push({ type: 'eof', value: '', pos: { line, col: src.length - lineStart + 1 } });
+		return ts;
+	};
+
+
+	// 構文解析 ----------------------------------------------------------------
+
+
+	/**
+	 * 構文解析器
+	 * @version 2026-10-19
+	 */
+	class Parser {
+
+		/**
+		 * 構文解析器を作る
+		 * @constructor
+		 * @param {object[]} tokens 字句の配列
+		 * @param {Map} procs 手続きの名前と引数の数
+		 */
+		constructor(tokens, procs) {
+			this._ts    = tokens;
+			this._i     = 0;
+			this._procs = procs;
+		}
+
+		/**
+		 * 次の字句を見る
+		 * @return {object} 字句
+		 */
+		peek() {
+			return this._ts[this._i];
+		}
+
+		/**
+		 * 次の字句に進む
+		 * @return {object} 字句
+		 */
+		next() {
+			return this._ts[this._i++];
+		}
+
+		/**
+		 * 次の字句が記号かどうか確かめて進む
+		 * @param {string} sym 記号
+		 * @return {object} 字句
+		 */
+		expect(sym) {
+			const t = this.next();
+			if (t.type !== 'sym' || t.value !== sym) {
+				throw makeError(SyntaxError, 'parse', `「${sym}」が必要なのに「${t.value || '終わり'}」があります。`, t.pos);
+			}
+			return t;
+		}
+
+		/**
+		 * プログラム全体を解析する
+		 * @return {object[]} 文の配列
+		 */
+		program() {
+			const ss = [];
+			while (this.peek().type !== 'eof') ss.push(this.statement());
+			return ss;
+		}
+
+		/**
+		 * 「[」と「]」で囲まれたブロックを解析する
+		 * @return {object[]} 文の配列
+		 */
+		block() {
+			const open = this.expect('[');
+			const ss = [];
+			for (;;) {
+				const t = this.peek();
+				if (t.type === 'eof') throw makeError(SyntaxError, 'parse', '「[」に対応する「]」がありません。', open.pos);
+				if (t.type === 'sym' && t.value === ']') break;
+				ss.push(this.statement());
+			}
+			this.next();
+			return ss;
+		}
+
+		/**
+		 * 文を解析する
+		 * @return {object} 文
+		 */
+		statement() {
+			const t = this.next();
+			if (t.type !== 'word') {
+				throw makeError(SyntaxError, 'parse', `「${t.value || '終わり'}」は命令ではありません。`, t.pos);
+			}
+			switch (t.value) {
+				case 'repeat':
+					return { type: 'repeat', count: this.expr(), body: this.block(), pos: t.pos };
+				case 'if':
+					return { type: 'if', cond: this.expr(), then: this.block(), else: [], pos: t.pos };
+				case 'ifelse':
+					return { type: 'if', cond: this.expr(), then: this.block(), else: this.block(), pos: t.pos };
+				case 'make': {
+					const n = this.next();
+					if (n.type !== 'word' && n.type !== 'str') throw makeError(SyntaxError, 'parse', 'makeの後には変数の名前が必要です。', n.pos);
+					return { type: 'make', name: n.value, value: this.expr(), pos: t.pos };
+				}
+				case 'to':
+					return this.procedure(t);
+				case 'stop':
+					return { type: 'stop', pos: t.pos };
+				case 'end':
+					throw makeError(SyntaxError, 'parse', '「to」がないのに「end」があります。', t.pos);
+			}
+			if (this._procs.has(t.value)) {
+				const n = this._procs.get(t.value);
+				const args = [];
+				for (let i = 0; i < n; i += 1) args.push(this.expr());
+				return { type: 'call', name: t.value, args, pos: t.pos };
+			}
+			if (t.value in COMMANDS) {
+				const [method, min, max] = COMMANDS[t.value];
+				const args = [];
+				for (let i = 0; i < min; i += 1) args.push(this.expr());
+				while (args.length < max && this.isExprStart()) args.push(this.expr());
+				return { type: 'command', name: t.value, method, args, pos: t.pos };
+			}
+			throw makeError(SyntaxError, 'parse', `「${t.value}」という命令はありません。`, t.pos);
+		}
+
+		/**
+		 * 手続きの定義を解析する
+		 * @param {object} t 「to」の字句
+		 * @return {object} 文
+		 */
+		procedure(t) {
+			const n = this.next();
+			if (n.type !== 'word' || KEYWORDS.includes(n.value) || n.value in COMMANDS) {
+				throw makeError(SyntaxError, 'parse', `「${n.value || '終わり'}」は手続きの名前に使えません。`, n.pos);
+			}
+			const params = [];
+			while (this.peek().type === 'var') params.push(this.next().value);
+			this._procs.set(n.value, params.length);  // 再帰呼び出しのために先に登録
+
+			const body = [];
+			for (;;) {
+				const s = this.peek();
+				if (s.type === 'eof') throw makeError(SyntaxError, 'parse', '「to」に対応する「end」がありません。', t.pos);
+				if (s.type === 'word' && s.value === 'end') break;
+				body.push(this.statement());
+			}
+			this.next();
+			return { type: 'to', name: n.value, params, body, pos: t.pos };
+		}
+
+		/**
+		 * 次の字句が式の始まりか？
+		 * @return {boolean} 式の始まりかどうか
+		 */
+		isExprStart() {
+			const t = this.peek();
+			if (t.type === 'num' || t.type === 'var') return true;
+			if (t.type === 'word' && t.value === 'repcount') return true;
+			return (t.type === 'sym' && (t.value === '(' || t.isSign));
+		}
+
+		/**
+		 * 式（比較）を解析する
+		 * @return {object} 式
+		 */
+		expr() {
+			let l = this.sum();
+			const t = this.peek();
+			if (t.type === 'sym' && ['<', '>', '=', '<=', '>=', '<>'].includes(t.value)) {
+				this.next();
+				l = { type: 'op', op: t.value, l, r: this.sum(), pos: t.pos };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（足し算、引き算）を解析する
+		 * @return {object} 式
+		 */
+		sum() {
+			let l = this.term();
+			// 符号の「-」は次の式の始まりなので、ここで終わる
+			for (let t = this.peek(); t.type === 'sym' && (t.value === '+' || (t.value === '-' && !t.isSign)); t = this.peek()) {
+				this.next();
+				l = { type: 'op', op: t.value, l, r: this.term(), pos: t.pos };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（かけ算、わり算）を解析する
+		 * @return {object} 式
+		 */
+		term() {
+			let l = this.unary();
+			for (let t = this.peek(); t.type === 'sym' && (t.value === '*' || t.value === '/' || t.value === '%'); t = this.peek()) {
+				this.next();
+				l = { type: 'op', op: t.value, l, r: this.unary(), pos: t.pos };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（符号）を解析する
+		 * @return {object} 式
+		 */
+		unary() {
+			const t = this.peek();
+			if (t.type === 'sym' && t.value === '-') {
+				this.next();
+				return { type: 'neg', e: this.unary(), pos: t.pos };
+			}
+			return this.primary();
+		}
+
+		/**
+		 * 式（数、変数、かっこ）を解析する
+		 * @return {object} 式
+		 */
+		primary() {
+			const t = this.next();
+			if (t.type === 'num') return { type: 'num', value: t.value, pos: t.pos };
+			if (t.type === 'var') return { type: 'var', name: t.value, pos: t.pos };
+			if (t.type === 'word' && t.value === 'repcount') return { type: 'repcount', pos: t.pos };
+			if (t.type === 'sym' && t.value === '(') {
+				const e = this.expr();
+				this.expect(')');
+				return e;
+			}
+			throw makeError(SyntaxError, 'parse', `数か変数が必要なのに「${t.value || '終わり'}」があります。`, t.pos);
+		}
+
+	}
+
+	/**
+	 * 文字列を解析する
+	 * @param {string} src 文字列
+	 * @param {Map=} opt_procs 前から知っている手続きの名前と引数の数
+	 * @return {object[]} 文の配列
+	 */
+	const parse = function (src, opt_procs = new Map()) {
+		const ts = tokenize(src);
+		const procs = new Map(opt_procs);
+		// 後で定義される手続きも呼び出せるように、先に手続きの名前と引数の数を集める
+		for (let i = 0; i < ts.length - 1; i += 1) {
+			if (ts[i].type !== 'word' || ts[i].value !== 'to' || ts[i + 1].type !== 'word') continue;
+			let n = 0;
+			while (ts[i + 2 + n].type === 'var') n += 1;
+			procs.set(ts[i + 1].value, n);
+		}
+		return new Parser(ts, procs).program();
+	};
+
+
+	// 実行 --------------------------------------------------------------------
+
+
+	/**
+	 * 手続きから戻るための合図
+	 */
+	const STOP = {};
+
+	/**
+	 * インタープリター（命令を解析して実行する）
+	 * @version 2026-10-19
+	 */
+	class Interpreter {
+
+		/**
+		 * インタープリターを作る
+		 * @constructor
+		 * @param {Turtle|TraceMotion=} [opt_target=null] 動かすもの（カメかトレーサー）
+		 */
+		constructor(opt_target = null) {
+			this._target = opt_target;
+			this._vars   = new Map();
+			this._procs  = new Map();
+
+			this._lastSrc = null;
+			this._lastAst = null;
+		}
+
+		/**
+		 * 動かすもの
+		 * @param {Turtle|TraceMotion=} val カメかトレーサー
+		 * @return {Turtle|TraceMotion|Interpreter} 動かすもの／このインタープリター
+		 */
+		target(val) {
+			if (val === undefined) return this._target;
+			this._target = val;
+			return this;
+		}
+
+		/**
+		 * 変数
+		 * @param {string} name 名前
+		 * @param {number=} val 値
+		 * @return {number|Interpreter} 値／このインタープリター
+		 */
+		variable(name, val) {
+			if (val === undefined) return this._vars.get(name);
+			this._vars.set(name, val);
+			return this;
+		}
+
+		/**
+		 * 定義された手続きの名前
+		 * @return {string[]} 名前の配列
+		 */
+		procedures() {
+			return [...this._procs.keys()];
+		}
+
+		/**
+		 * 文字の命令を実行する（同じ文字列なら解析した結果を使い回す）
+		 * @param {string} src 文字列
+		 * @return {Interpreter} このインタープリター
+		 */
+		run(src) {
+			if (this._target === null) throw new Error('LOGO::run: 動かすもの（カメかトレーサー）が必要です。');
+			if (src !== this._lastSrc) {
+				const known = new Map([...this._procs].map(([n, p]) => [n, p.params.length]));
+				this._lastAst = parse(src, known);
+				this._lastSrc = src;
+			}
+			this._execBlock(this._lastAst, { vars: this._vars, rep: [], depth: 0 });
+			return this;
+		}
+
+		/**
+		 * 文の並びを実行する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object[]} ss 文の配列
+		 * @param {object} env 環境
+		 */
+		_execBlock(ss, env) {
+			for (const s of ss) this._exec(s, env);
+		}
+
+		/**
+		 * 文を実行する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} s 文
+		 * @param {object} env 環境
+		 */
+		_exec(s, env) {
+			switch (s.type) {
+				case 'repeat': {
+					const n = this._eval(s.count, env);
+					for (let i = 1; i <= n; i += 1) {
+						env.rep.push(i);
+						try {
+							this._execBlock(s.body, env);
+						} finally {
+							env.rep.pop();
+						}
+					}
+					break;
+				}
+				case 'if':
+					this._execBlock(this._eval(s.cond, env) ? s.then : s.else, env);
+					break;
+				case 'make': {
+					// 手続きの引数にあればそれを、なければ全体の変数を書きかえる
+					let vs = this._vars;
+					for (let v = env; v; v = v.parent) {
+						if (v.vars.has(s.name)) {
+							vs = v.vars;
+							break;
+						}
+					}
+					vs.set(s.name, this._eval(s.value, env));
+					break;
+				}
+				case 'to':
+					this._procs.set(s.name, s);
+					break;
+				case 'stop':
+					if (env.depth === 0) throw makeError(Error, 'run', '手続きの外でstopは使えません。', s.pos);
+					throw STOP;
+				case 'call':
+					this._call(s, env);
+					break;
+				case 'command': {
+					const t = this._target, f = t[s.method];
+					if (typeof f !== 'function') throw makeError(Error, 'run', `「${s.name}」はこのカメでは使えません。`, s.pos);
+					f.apply(t, s.args.map(a => this._eval(a, env)));
+					break;
+				}
+			}
+		}
+
+		/**
+		 * 手続きを呼び出す（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} s 文
+		 * @param {object} env 環境
+		 */
+		_call(s, env) {
+			const p = this._procs.get(s.name);
+			if (p === undefined) throw makeError(Error, 'run', `手続き「${s.name}」がまだ定義されていません。`, s.pos);
+			if (MAX_DEPTH <= env.depth) throw makeError(Error, 'run', `手続き「${s.name}」の呼び出しが深すぎます。`, s.pos);
+
+			const vars = new Map();
+			p.params.forEach((n, i) => vars.set(n, this._eval(s.args[i], env)));
+			try {
+				this._execBlock(p.body, { vars, rep: [], depth: env.depth + 1, parent: env });
+			} catch (e) {
+				if (e !== STOP) throw e;
+			}
+		}
+
+		/**
+		 * 式を計算する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} e 式
+		 * @param {object} env 環境
+		 * @return {number|boolean} 値
+		 */
+		_eval(e, env) {
+			switch (e.type) {
+				case 'num':
+					return e.value;
+				case 'var': {
+					for (let v = env; v; v = v.parent) {
+						if (v.vars.has(e.name)) return v.vars.get(e.name);
+					}
+					if (this._vars.has(e.name)) return this._vars.get(e.name);
+					throw makeError(Error, 'run', `変数「${e.name}」がありません。`, e.pos);
+				}
+				case 'repcount':
+					if (env.rep.length === 0) throw makeError(Error, 'run', 'repeatの外でrepcountは使えません。', e.pos);
+					return env.rep[env.rep.length - 1];
+				case 'neg':
+					return -this._eval(e.e, env);
+				case 'op': {
+					const l = this._eval(e.l, env), r = this._eval(e.r, env);
+					switch (e.op) {
+						case '+': return l + r;
+						case '-': return l - r;
+						case '*': return l * r;
+						case '/': return l / r;
+						case '%': return l % r;
+						case '<': return l < r;
+						case '>': return l > r;
+						case '=': return l === r;
+						case '<=': return l <= r;
+						case '>=': return l >= r;
+						case '<>': return l !== r;
+					}
+				}
+			}
+		}
+
+	}
+
+
+	// ライブラリを作る --------------------------------------------------------
+
+
+	/**
+	 * 文字の命令で動かす
+	 * @param {string} src 文字列
+	 * @param {Turtle|TraceMotion} target 動かすもの（カメかトレーサー）
+	 * @return {Interpreter} インタープリター
+	 */
+	const run = function (src, target) {
+		return new Interpreter(target).run(src);
+	};
+
+	return { Interpreter, parse, run };
+
+}());
@@ -4,7 +4,7 @@
  * 絵をかくときの線やぬりのスタイルを簡単に設定することができるようにするためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2020-04-21
+ * @version 2026-10-19
  */
 
 
@@ -520,7 +520,7 @@ const STYLE = (function () {
 	/**
 	 * 塗りスタイル（フィル）
 	 * @extends {StyleBase}
-	 * @version 2021-02-05
+	 * @version 2026-10-19
 	 */
 	class Fill extends StyleBase {
 
@@ -531,6 +531,9 @@ const STYLE = (function () {
 		 */
 		constructor(base) {
 			super(base, 'White');
+
+			this._pattern  = base ? base._pattern  : null;
+			this._patCache = base ? base._patCache : null;
 		}
 
 		/**
@@ -540,9 +543,126 @@ const STYLE = (function () {
 		 */
 		reset(color) {
 			super.reset(color);
+
+			this._pattern  = null;
+			this._patCache = null;
 			return this;
 		}
 
+		/**
+		 * ハッチング（平行な線）でぬるようにする
+		 * - 線の色はぬりスタイルの色
+		 * @param {number=} [opt_deg=45] 線の向き
+		 * @param {number=} [opt_spacing=8] 線の間隔
+		 * @param {number=} [opt_width=1] 線の太さ
+		 * @return {Fill} このぬりスタイル
+		 */
+		hatch(opt_deg = 45, opt_spacing = 8, opt_width = 1) {
+			return this.pattern('hatch', opt_deg, opt_spacing, opt_width);
+		}
+
+		/**
+		 * クロス・ハッチング（交差する線）でぬるようにする
+		 * - 線の色はぬりスタイルの色
+		 * @param {number=} [opt_deg=45] 線の向き
+		 * @param {number=} [opt_spacing=8] 線の間隔
+		 * @param {number=} [opt_width=1] 線の太さ
+		 * @return {Fill} このぬりスタイル
+		 */
+		crossHatch(opt_deg = 45, opt_spacing = 8, opt_width = 1) {
+			return this.pattern('crossHatch', opt_deg, opt_spacing, opt_width);
+		}
+
+		/**
+		 * 点でぬるようにする
+		 * - 点の色はぬりスタイルの色
+		 * @param {number=} [opt_spacing=8] 点の間隔
+		 * @param {number=} [opt_radius=1.5] 点の半径
+		 * @param {number=} [opt_deg=0] 点の並びの向き
+		 * @return {Fill} このぬりスタイル
+		 */
+		dots(opt_spacing = 8, opt_radius = 1.5, opt_deg = 0) {
+			return this.pattern('dots', opt_deg, opt_spacing, opt_radius);
+		}
+
+		/**
+		 * 画像をしきつめてぬるようにする
+		 * - TURTLE.makeStampで作ったスタンプは、スタンプのpaper関数で紙にしてから渡す
+		 * @param {Paper|HTMLCanvasElement|HTMLImageElement} image 画像（紙）
+		 * @param {number=} [opt_scale=1] 拡大率
+		 * @param {number=} [opt_deg=0] 並びの向き
+		 * @return {Fill} このぬりスタイル
+		 */
+		tile(image, opt_scale = 1, opt_deg = 0) {
+			return this.pattern('tile', opt_deg, image, opt_scale);
+		}
+
+		/**
+		 * 模様
+		 * - 種類は'hatch'、'crossHatch'、'dots'、'tile'（引数は種類ごとのぬりスタイルの関数を参照）
+		 * - nullなら模様を使わない
+		 * @param {?string=} type 種類
+		 * @param {number=} deg 向き
+		 * @param {...*} params 種類ごとの設定
+		 * @return {Array|Fill} 模様の設定（種類、向き、種類ごとの設定）／このぬりスタイル
+		 */
+		pattern(type, deg, ...params) {
+			if (type === undefined) return this._pattern ? [...this._pattern] : null;
+			if (type !== null && !['hatch', 'crossHatch', 'dots', 'tile'].includes(type)) {
+				throw new Error(`STYLE::pattern: 「${type}」という模様はありません。`);
+			}
+			this._pattern  = (type === null) ? null : [type, deg, ...params];
+			this._patCache = null;
+			return this;
+		}
+
+		/**
+		 * 模様のスタイルを作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * @param {string|CanvasGradient} ink 線や点の色
+		 * @return {CanvasPattern} スタイル
+		 */
+		_makePattern(ctx, ink) {
+			if (typeof ink !== 'string') ink = this._gradColors[0] || 'Black';
+			if (this._patCache && this._patCache.ink === ink) return this._patCache.style;
+
+			const [type, deg, p0, p1] = this._pattern;
+			let src, scale;
+			if (type === 'tile') {
+				src   = p0.canvas ? p0.canvas : p0;
+				scale = p1;
+			} else {
+				// 端数の間隔でもずれないように、整数の大きさでかいてから縮める
+				const size = Math.max(1, Math.round(p0));
+				scale = p0 / size;
+				src = document.createElement('canvas');
+				src.width = src.height = size;
+				const c = src.getContext('2d'), h = size / 2;
+				if (type === 'dots') {
+					c.fillStyle = ink;
+					c.beginPath();
+					c.arc(h, h, p1 / scale, 0, Math.PI * 2);
+					c.fill();
+				} else {
+					c.strokeStyle = ink;
+					c.lineWidth = p1 / scale;
+					c.beginPath();
+					c.moveTo(0, h);
+					c.lineTo(size, h);
+					if (type === 'crossHatch') {
+						c.moveTo(h, 0);
+						c.lineTo(h, size);
+					}
+					c.stroke();
+				}
+			}
+			const style = ctx.createPattern(src, 'repeat');
+			if (style.setTransform) style.setTransform(new DOMMatrix().rotateSelf(deg).scaleSelf(scale));
+			this._patCache = { ink, style };
+			return style;
+		}
+
 		// gradArea = {fromX, fromY, toX, toY, left, top, right, bottom}
 
 		/**
@@ -551,7 +671,8 @@ const STYLE = (function () {
 		 * @param {number[]} gradArea グラデーション範囲
 		 */
 		assign(ctx, gradArea) {
-			ctx.fillStyle = this._makeStyle(ctx, gradArea);
+			const style = this._makeStyle(ctx, gradArea);
+			ctx.fillStyle = this._pattern ? this._makePattern(ctx, style) : style;
 			ctx.globalAlpha *= this._alpha;
 			ctx.globalCompositeOperation = this._composition;
 			this._shadow.assign(ctx);
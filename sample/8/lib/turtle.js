@@ -4,7 +4,7 @@
  * カメを動かして、絵をかくためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-10-10
+ * @version 2026-10-19
  */
 
 
@@ -52,6 +52,49 @@ const TURTLE = (function () {
 		return [nx, ny];
 	}
 
+	/**
+	 * 範囲を点が入るように広げる
+	 * @param {object|null} box 範囲
+	 * @param {number[][]} ps 点の配列
+	 * @return {object} 範囲
+	 */
+	const extendBox = function (box, ps) {
+		const b = box ? box : { left: ps[0][0], top: ps[0][1], right: ps[0][0], bottom: ps[0][1] };
+		for (const [x, y] of ps) {
+			if (x < b.left)   b.left = x;
+			if (y < b.top)    b.top = y;
+			if (b.right < x)  b.right = x;
+			if (b.bottom < y) b.bottom = y;
+		}
+		return b;
+	};
+
+	/**
+	 * インクの色か？
+	 * @param {number[]} data 色（RGBA）の並び
+	 * @param {number} i 色の始まりの番号
+	 * @return {boolean} インクの色かどうか
+	 */
+	const isInk = function (data, i) {
+		if (data[i + 3] === 0) return false;  // 透明
+		return !(data[i] === 255 && data[i + 1] === 255 && data[i + 2] === 255);  // 白
+	};
+
+	/**
+	 * 2つの軸をその2つがつくる面の中で回転する
+	 * @param {number[]} a 軸1（軸2の方に回る）
+	 * @param {number[]} b 軸2
+	 * @param {number} deg 角度
+	 * @return {number[][]} 回転した軸1と軸2
+	 */
+	const rotateAxes = function (a, b, deg) {
+		const r = rad(deg), c = Math.cos(r), s = Math.sin(r);
+		return [
+			[a[0] * c + b[0] * s, a[1] * c + b[1] * s, a[2] * c + b[2] * s],
+			[b[0] * c - a[0] * s, b[1] * c - a[1] * s, b[2] * c - a[2] * s],
+		];
+	};
+
 	/**
 	 * 座標を回転する
 	 * @param {number} r ラジアン
@@ -67,7 +110,7 @@ const TURTLE = (function () {
 
 	/**
 	 * タートル・ベース
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class TurtleBase {
 
@@ -93,7 +136,7 @@ const TURTLE = (function () {
 			this._homeY   = 0;
 			this._homeDir = 0;
 
-			this._liner = new PATH.Liner({
+			this._liner = new PATH.Liner(PATH.makeRecordingHandler({
 				lineOrMoveTo: (x, y, dir) => {
 					if (this._pen) this._ctx.lineTo(x, y);
 					this._changePos(x, y, dir + 90);
@@ -110,7 +153,7 @@ const TURTLE = (function () {
 					if (this._pen) PATH.eclipse(this._ctx, cx, cy, w, h, dr, r0, r1, ac);
 					this._changePos(xx, yy, dir + 90);
 				}
-			}, normalDeg ? rad(normalDeg) : undefined);
+			}, () => (this._pen ? this._points : null)), normalDeg ? rad(normalDeg) : undefined);
 
 			this._area = { fromX: 0, toX: 0, left: 0, right: 0, fromY: 0, toY: 0, top: 0, bottom: 0, sqLen: 0 };
 			this._mode = 'stroke';
@@ -118,6 +161,9 @@ const TURTLE = (function () {
 			this._fill = new STYLE.Fill();
 			this._curMode = this._mode;
 			this._pen = false;
+			this._points = [];
+			this._drawnLength = 0;
+			this._drawnBox = null;
 
 			this._isClippable = true;
 		}
@@ -228,6 +274,18 @@ const TURTLE = (function () {
 		_usePower(consumption) {
 		}
 
+		/**
+		 * パワーを使って動く（ライブラリ内だけで使用）
+		 * @private
+		 * @param {function(?number):number} doFunc 制限を受け取って動き、実際に動いた量を返す関数
+		 * @param {?number=} [opt_need=null] 最後まで動くのに必要なパワー（分かっているとき）
+		 */
+		_doWithPower(doFunc, opt_need = null) {
+			const limit = this._getPower();
+			if (limit === 0) return;
+			this._usePower(doFunc(limit));
+		}
+
 
 		// 場所か方向の変化 --------------------------------------------------------
 
@@ -258,9 +316,7 @@ const TURTLE = (function () {
 		 * @return {TurtleBase} このタートル・ベース
 		 */
 		_goPrep(step) {
-			const limit = this._getPower();
-			if (limit === 0) return this;
-			this._usePower(this._doGo(step, limit));
+			this._doWithPower(limit => this._doGo(step, limit));
 			return this;
 		}
 
@@ -304,9 +360,7 @@ const TURTLE = (function () {
 		 * @return {TurtleBase} このタートル・ベース
 		 */
 		_turnPrep(deg) {
-			const limit = this._getPower();
-			if (limit === 0) return this;
-			this._usePower(this._doTurn(deg, limit));
+			this._doWithPower(limit => this._doTurn(deg, limit));
 			return this;
 		}
 
@@ -322,7 +376,7 @@ const TURTLE = (function () {
 			const sign = (deg < 0 ? -1 : 1), d = sign * deg;
 			let cons;
 			if (limit !== null) {
-				const f = (90 < d) ? 1 : ((d < 10) ? 5 : (5 - 4 * (d - 10) / 80));  // 10 ~ 90 => 5 ~ 1
+				const f = this._turnCostRate(d);
 				const need = d * f;
 				if (limit < need) deg = sign * limit / f;
 				cons = Math.min(limit, need);
@@ -334,6 +388,16 @@ const TURTLE = (function () {
 			return cons;
 		}
 
+		/**
+		 * 回る角度1度あたりに使うパワー（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} d 角度（正の数）
+		 * @return {number} パワー
+		 */
+		_turnCostRate(d) {
+			return (90 < d) ? 1 : ((d < 10) ? 5 : (5 - 4 * (d - 10) / 80));  // 10 ~ 90 => 5 ~ 1
+		}
+
 		/**
 		 * x座標（横の場所）
 		 * @param {number=} val 値
@@ -455,9 +519,7 @@ const TURTLE = (function () {
 		 * @return {TurtleBase} このタートル・ベース
 		 */
 		_curvePrep(step0, deg, step1, opt_deg, opt_step) {
-			const limit = this._getPower();
-			if (limit === 0) return this;
-			this._usePower(this._doCurve(step0, deg, step1, opt_deg, opt_step, limit));
+			this._doWithPower(limit => this._doCurve(step0, deg, step1, opt_deg, opt_step, limit));
 			return this;
 		}
 
@@ -516,9 +578,7 @@ const TURTLE = (function () {
 		 * @return {TurtleBase} このタートル・ベース
 		 */
 		_arcPrep(r, deg, isLeft) {
-			const limit = this._getPower();
-			if (limit === 0) return this;
-			this._usePower(this._doArc(r, deg, isLeft, limit));
+			this._doWithPower(limit => this._doArc(r, deg, isLeft, limit));
 			return this;
 		}
 
@@ -612,6 +672,143 @@ const TURTLE = (function () {
 		}
 
 
+		// 測る --------------------------------------------------------------------
+
+
+		/**
+		 * ペンを下ろして進んだ長さの合計を返す
+		 * @return {number} 長さ
+		 */
+		getDrawnLength() {
+			const cur = this._pen ? PATH.polylineLength(this._points) : 0;
+			return this._drawnLength + cur;
+		}
+
+		/**
+		 * かいた絵の範囲を返す（カメの座標で）
+		 * @return {object|null} 左（left）、上（top）、右（right）、下（bottom）、横幅（width）、たて幅（height）（何もかいていないならnull）
+		 */
+		getDrawnBounds() {
+			let b = this._drawnBox ? Object.assign({}, this._drawnBox) : null;
+			if (this._pen && 1 < this._points.length) b = extendBox(b, this._points);
+			if (b === null) return null;
+			b.width = b.right - b.left;
+			b.height = b.bottom - b.top;
+			return b;
+		}
+
+		/**
+		 * 今の（ペンを上げた後なら最後の）パスが閉じている？
+		 * @return {boolean} 閉じているかどうか
+		 */
+		isPathClosed() {
+			const ps = this._points;
+			if (ps.length < 3) return false;
+			const [x0, y0] = ps[0], [x1, y1] = ps[ps.length - 1];
+			return ((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0) < 0.01);
+		}
+
+		/**
+		 * 今の（ペンを上げた後なら最後の）パスが囲む面積を返す
+		 * @return {number} 面積（パスが閉じていないなら0）
+		 */
+		getPathArea() {
+			if (!this.isPathClosed()) return 0;
+			const ps = this._points;
+			let sum = 0;
+			for (let i = 0, I = ps.length; i < I; i += 1) {
+				const [x0, y0] = ps[i], [x1, y1] = ps[(i + 1) % I];
+				sum += x0 * y1 - x1 * y0;
+			}
+			return Math.abs(sum) / 2;
+		}
+
+		/**
+		 * 測った長さと範囲をリセットする
+		 * @return {TurtleBase} このタートル・ベース
+		 */
+		resetMeasure() {
+			this._drawnLength = 0;
+			this._drawnBox = null;
+			return this;
+		}
+
+		/**
+		 * かき終わったパスを測る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number[][]} ps 点の配列
+		 */
+		_addMeasure(ps) {
+			if (ps.length < 2) return;
+			this._drawnLength += PATH.polylineLength(ps);
+			this._drawnBox = extendBox(this._drawnBox, ps);
+		}
+
+
+		// 感じる ------------------------------------------------------------------
+
+
+		/**
+		 * 前の方（角度を指定するとその方向）にある色を返す
+		 * - ペンを上げてかき終わった絵の色だけが分かる
+		 * @param {number=} [dist=0] 歩数
+		 * @param {number=} [opt_deg=0] 今の方向から右に回った角度
+		 * @return {number[]} 色（RGBA）を表す配列
+		 */
+		getColorAt(dist = 0, opt_deg = 0) {
+			const r = rad(this._dir - 90 + opt_deg), d = dist * this._step;
+			const x = this._x + d * Math.cos(r), y = this._y + d * Math.sin(r);
+			const [px, py] = transform(this._ctx.getTransform(), x, y);
+			return Array.from(this._ctx.getImageData(Math.floor(px), Math.floor(py), 1, 1).data);
+		}
+
+		/**
+		 * カメの下にある色を返す
+		 * @return {number[]} 色（RGBA）を表す配列
+		 */
+		getColorUnder() {
+			return this.getColorAt(0);
+		}
+
+		/**
+		 * 前の方（角度を指定するとその方向）にインクがある？
+		 * - 透明でも白でもない色をインクとする
+		 * @param {number=} [dist=0] 歩数
+		 * @param {number=} [opt_deg=0] 今の方向から右に回った角度
+		 * @return {boolean} インクがあるかどうか
+		 */
+		isInkAt(dist = 0, opt_deg = 0) {
+			return isInk(this.getColorAt(dist, opt_deg), 0);
+		}
+
+		/**
+		 * カメのまわりの半径rの中にインクがある？
+		 * - 透明でも白でもない色をインクとする
+		 * @param {number} r 半径
+		 * @return {boolean} インクがあるかどうか
+		 */
+		hasInkWithin(r) {
+			const m = this._ctx.getTransform();
+			const [cx, cy] = transform(m, this._x, this._y);
+			const pr = r * Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+			const cw = this._ctx.canvas.width, ch = this._ctx.canvas.height;
+
+			const x0 = Math.max(0, Math.floor(cx - pr)), y0 = Math.max(0, Math.floor(cy - pr));
+			const x1 = Math.min(cw, Math.ceil(cx + pr) + 1), y1 = Math.min(ch, Math.ceil(cy + pr) + 1);
+			if (x1 <= x0 || y1 <= y0) return false;
+
+			const w = x1 - x0, data = this._ctx.getImageData(x0, y0, w, y1 - y0).data;
+			for (let y = y0; y < y1; y += 1) {
+				for (let x = x0; x < x1; x += 1) {
+					const dx = x + 0.5 - cx, dy = y + 0.5 - cy;
+					if (pr * pr < dx * dx + dy * dy) continue;
+					if (isInk(data, ((y - y0) * w + (x - x0)) * 4)) return true;
+				}
+			}
+			return false;
+		}
+
+
 		// 図形の描画 --------------------------------------------------------------
 
 
@@ -632,7 +829,7 @@ const TURTLE = (function () {
 
 				if (this._pen) this._ctx.arc(this._x, this._y, r, 0, 2 * Math.PI, false);
 				return r;
-			});
+			}, null, null, this._stroke._width / 2);  // キャンバスに直接かくので、測るために動かさない
 			return this;
 		}
 
@@ -677,17 +874,17 @@ const TURTLE = (function () {
 		 * @param {function} doFunc 関数
 		 * @param {number=} [opt_x=null] 始点のx座標
 		 * @param {number=} [opt_y=null] 始点のy座標
+		 * @param {?number=} [opt_need=null] 最後までかくのに必要なパワー（分かっているとき）
 		 */
-		_drawShape(doFunc, opt_x = null, opt_y = null) {
-			const limit = this._getPower();
-			if (limit === 0) return;
+		_drawShape(doFunc, opt_x = null, opt_y = null, opt_need = null) {
+			if (this._getPower() === 0) return;
 			const pen = this._pen;
 
 			this.save();
 			if (pen) this.penUp();
 			if (opt_x !== null && opt_y !== null) this.moveTo(opt_x, opt_y);
 			if (pen) this.penDown();
-			this._usePower(doFunc(limit));
+			this._doWithPower(doFunc, opt_need);
 			if (pen) this.penUp();
 			this.restore();
 		}
@@ -741,12 +938,14 @@ const TURTLE = (function () {
 				this._area.fromX = this._area.left = this._area.right = this._x;
 				this._area.fromY = this._area.top = this._area.bottom = this._y;
 				this._area.sqLen = 0;
+				this._points = [[this._x, this._y]];
 				this._curMode = this._mode.toLowerCase();
 			}
 			if (this._pen === true && val === false && !this._isNotDrawn()) {
 				// ペンを下げた場所と同じ場所でペンを上げたら、パスを閉じる（始点と終点をつなげる）
 				if (this._isInPenDownPoint()) this._ctx.closePath();
 				this._drawActually();
+				this._addMeasure(this._points);
 			}
 			this._pen = val;
 			return this;
@@ -817,6 +1016,28 @@ const TURTLE = (function () {
 			return false;
 		}
 
+		/**
+		 * ペンを下ろしてからかいたパスの点（曲線は折れ線にしたもの）
+		 * @return {number[][]} 点の配列
+		 */
+		pathPoints() {
+			return this._points.map(p => [...p]);
+		}
+
+		/**
+		 * ペンを下ろしてからかいたパスの内側を埋めるハッチングの線分（書き出しやプロッター用）
+		 * - ぬりスタイルのhatch、crossHatchと同じ場所に線が並ぶ
+		 * @param {number=} [opt_deg=45] 線の向き
+		 * @param {number=} [opt_spacing=8] 線の間隔
+		 * @param {boolean=} [opt_cross=false] 交差させるか？
+		 * @return {number[][][]} 線分（始点と終点の配列）の配列
+		 */
+		hatchLines(opt_deg = 45, opt_spacing = 8, opt_cross = false) {
+			const ls = PATH.hatchLines(this._points, opt_deg, opt_spacing);
+			if (opt_cross) ls.push(...PATH.hatchLines(this._points, opt_deg + 90, opt_spacing));
+			return ls;
+		}
+
 		/**
 		 * 線スタイル
 		 * @param {Stroke=} opt_stroke 設定する線スタイル（オプション）
@@ -893,7 +1114,7 @@ const TURTLE = (function () {
 
 	/**
 	 * タートル
-	 * @version 2021-10-10
+	 * @version 2026-10-19
 	 */
 	class Turtle extends TurtleBase {
 
@@ -913,6 +1134,20 @@ const TURTLE = (function () {
 			this._aniFinished  = true;
 			this._lastPenState = false;
 
+			this._speedPx     = null;
+			this._speedDeg    = null;
+			this._easing      = null;
+			this._interval    = 0;
+			this._isPaused    = false;
+			this._aniLastTime = null;
+			this._aniLastNum  = 1;
+
+			// 動く量を測るためのライナー（何もかかない）
+			const nop = () => {};
+			this._dryLiner = new PATH.Liner({
+				lineOrMoveTo: nop, quadCurveOrMoveTo: nop, bezierCurveOrMoveTo: nop, arcOrMoveTo: nop
+			}, normalDeg ? rad(normalDeg) : undefined);
+
 			this._curLoc     = [0, 0, 0];
 			this._curHomeLoc = [0, 0, 0];
 			this._curAs      = [];
@@ -1190,9 +1425,16 @@ const TURTLE = (function () {
 
 		/**
 		 * アニメーションを次に進める
+		 * - 速さ（speed）を設定したときは、numは使わず、時間差の分だけ進む
+		 * - 時間差を省くと紙の時間差（deltaTime）を使うので、固定の時間差（fixedDeltaTime）でも同じように進む
 		 * @param {number} num フレーム数
+		 * @param {number=} opt_deltaTime 時間差 [ms]
 		 */
-		stepNext(num) {
+		stepNext(num, opt_deltaTime) {
+			const dt = this._stepTime(opt_deltaTime);
+			if (!this._isPaused) this._aniLastNum = num;
+			const add = this._isPaused ? 0 : ((this._speedPx === null) ? num : this._speedPx * dt);
+
 			if (this._isAnimating) {
 				// アニメ終わり
 				if (this._aniFinished) {
@@ -1203,7 +1445,7 @@ const TURTLE = (function () {
 					this._drawTurtle(this._ctx);
 					// アニメ開始時点に戻す
 					this.restore().save();
-					this._aniMax += num;
+					this._aniMax += add;
 				}
 			} else {
 				// アニメ始まり
@@ -1216,6 +1458,29 @@ const TURTLE = (function () {
 			this._aniRemain = this._aniMax;
 			this._aniFinished = true;
 			this._isClippable = true;
+			// 次の描画で測り直す
+			this.resetMeasure();
+		}
+
+		/**
+		 * アニメーションを進める時間を求める（ライブラリ内だけで使用）
+		 * - 時間差の指定、紙の時間差、実際の時刻の順に使う
+		 * @private
+		 * @param {number=} opt_deltaTime 時間差 [ms]
+		 * @return {number} 時間 [s]
+		 */
+		_stepTime(opt_deltaTime) {
+			if (opt_deltaTime !== undefined) return opt_deltaTime / 1000;
+			const ctx = this._ctx;
+			if (typeof ctx.deltaTime === 'function') {
+				const dt = ctx.deltaTime() / 1000;
+				// 間が空きすぎたとき（別のタブを見ていたときなど）に一気に進まないように
+				return (ctx.fixedDeltaTime() !== null) ? dt : Math.min(dt, 0.1);
+			}
+			const now = window.performance.now() / 1000;
+			const dt = (this._aniLastTime === null) ? 0 : Math.min(now - this._aniLastTime, 0.1);
+			this._aniLastTime = now;
+			return dt;
 		}
 
 		/**
@@ -1228,6 +1493,107 @@ const TURTLE = (function () {
 				this._stack.pop();
 			}
 			this._aniMax = 0;
+			this._aniLastTime = null;
+		}
+
+		/**
+		 * 速さ
+		 * - 設定すると、stepNextに渡す数ではなく、時間で進むようになる
+		 * - 回る速さを設定しないときは、進む速さに合わせて回る
+		 * - nullなら速さの設定をやめる（stepNextに渡す数で進む）
+		 * @param {?number=} pxPerSec 1秒に進む長さ（ピクセル）
+		 * @param {number=} [opt_degPerSec=null] 1秒に回る角度
+		 * @return {number[]|Turtle} 進む速さと回る速さ／このタートル
+		 */
+		speed(pxPerSec, opt_degPerSec = null) {
+			if (pxPerSec === undefined) return (this._speedPx === null) ? null : [this._speedPx, this._speedDeg];
+			this._speedPx  = pxPerSec;
+			this._speedDeg = (pxPerSec === null) ? null : opt_degPerSec;
+			return this;
+		}
+
+		/**
+		 * イージング（動きの速さの変化）
+		 * - この後の一つ一つの動きに使われる
+		 * @param {?function(number):number=} func イージング関数（CALC.easeInOutQuadなど、nullなら一定の速さ）
+		 * @return {function|Turtle} イージング関数／このタートル
+		 */
+		easing(func) {
+			if (func === undefined) return this._easing;
+			this._easing = func;
+			return this;
+		}
+
+		/**
+		 * 動きと動きの間に待つ時間
+		 * @param {number=} sec 時間（秒）
+		 * @return {number|Turtle} 時間／このタートル
+		 */
+		interval(sec) {
+			if (sec === undefined) return this._interval;
+			this._interval = sec;
+			return this;
+		}
+
+		/**
+		 * 待つ
+		 * - 速さ（speed）を設定していないときは、1秒60コマとして待つ
+		 * @param {number} sec 時間（秒）
+		 * @return {Turtle} このタートル
+		 */
+		wait(sec) {
+			const limit = this._getPower();
+			if (limit === 0 || limit === null) return this;
+			const need = sec * ((this._speedPx === null) ? 60 * this._aniLastNum : this._speedPx);
+			this._usePower(Math.min(limit, need));
+			return this;
+		}
+
+		/**
+		 * アニメーションを一時停止する
+		 * @return {Turtle} このタートル
+		 */
+		pause() {
+			this._isPaused = true;
+			return this;
+		}
+
+		/**
+		 * アニメーションを再開する
+		 * @return {Turtle} このタートル
+		 */
+		resume() {
+			this._isPaused = false;
+			return this;
+		}
+
+		/**
+		 * 一時停止している？
+		 * @return {boolean} 一時停止しているか
+		 */
+		isPaused() {
+			return this._isPaused;
+		}
+
+		/**
+		 * 状態を取得する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {Array} 状態
+		 */
+		_getState() {
+			return [...super._getState(), this._easing, this._interval];
+		}
+
+		/**
+		 * 状態を設定する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Array} t 状態
+		 * @param {boolean=} [applyPenState=true] ペンの状態を設定するか？
+		 */
+		_setState(t, applyPenState = true) {
+			this._easing   = t[14];
+			this._interval = t[15];
+			super._setState(t, applyPenState);
 		}
 
 		/**
@@ -1247,6 +1613,59 @@ const TURTLE = (function () {
 			return this._aniRemain;
 		}
 
+		/**
+		 * パワーを使って動く（ライブラリ内だけで使用）
+		 * - イージングを設定しているときは、途中で止まる場所をイージング関数で変える
+		 * @private
+		 * @param {function(?number):number} doFunc 制限を受け取って動き、実際に動いた量を返す関数
+		 * @param {?number=} [opt_need=null] 最後まで動くのに必要なパワー（分かっているときは測らない）
+		 */
+		_doWithPower(doFunc, opt_need = null) {
+			const limit = this._getPower();
+			if (limit === 0) return;
+			if (limit === null || this._easing === null) {
+				this._usePower(doFunc(limit));
+			} else {
+				const need = (opt_need !== null) ? opt_need : this._measurePower(doFunc);
+				if (need <= limit) {
+					this._usePower(doFunc(limit));
+				} else {
+					doFunc(need * this._easing(limit / need));
+					this._usePower(limit);
+				}
+			}
+			if (0 < this._interval) this.wait(this._interval);
+		}
+
+		/**
+		 * 最後まで動くのに必要なパワーを測る（実際には動かない）（ライブラリ内だけで使用）
+		 * @private
+		 * @param {function(?number):number} doFunc 制限を受け取って動き、実際に動いた量を返す関数
+		 * @return {number} パワー
+		 */
+		_measurePower(doFunc) {
+			const liner = this._liner, area = this._area, x = this._x, y = this._y, dir = this._dir;
+			this._dryLiner.edge(liner.edge());
+			this._liner = this._dryLiner;
+			this._area  = Object.assign({}, area);
+			const need = doFunc(Infinity);
+			this._liner = liner;
+			this._area  = area;
+			this._changePos(x, y, dir);
+			return need;
+		}
+
+		/**
+		 * 回る角度1度あたりに使うパワー（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} d 角度（正の数）
+		 * @return {number} パワー
+		 */
+		_turnCostRate(d) {
+			if (this._speedPx !== null && this._speedDeg) return this._speedPx / this._speedDeg;
+			return super._turnCostRate(d);
+		}
+
 		/**
 		 * アニメーションの終わりをチェックする（ライブラリ内だけで使用）
 		 * @private
@@ -1283,6 +1702,8 @@ const TURTLE = (function () {
 		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
 		 */
 		_drawTurtle(ctx) {
+			const svg = ctx.svgEnabled ? ctx.svgEnabled() : false;
+			if (svg) ctx.svgEnabled(false);  // カメはSVGに記録しない
 			ctx.save();
 			ctx.setLineDash([]);
 			ctx.globalAlpha = 1;
@@ -1302,6 +1723,7 @@ const TURTLE = (function () {
 			this._drawFunction(ctx, [x, y], this._curFnPos, this._curFn);
 
 			ctx.restore();
+			if (svg) ctx.svgEnabled(true);
 			this._curFn = '';
 			this._curAs = [];
 		}
@@ -1466,44 +1888,852 @@ const TURTLE = (function () {
 	}
 
 
-	// ユーティリティ関数 ------------------------------------------------------
+	/**
+	 * 記録する命令
+	 */
+	const RECORDED_COMMANDS = [
+		'go', 'back', 'turnRight', 'turnLeft', 'moveTo', 'home', 'setHome',
+		'curveRight', 'curveLeft', 'arcRight', 'arcLeft', 'dot', 'circle',
+		'penUp', 'penDown', 'save', 'restore',
+	];
 
+	/**
+	 * 引数がある時だけ記録する命令
+	 */
+	const ACCESSOR_COMMANDS = ['x', 'y', 'direction', 'step', 'pen', 'mode'];
 
 	/**
-	 * タートルを使ってかく関数からスタンプ（高速に絵をかく関数）を作る
-	 * @param {number} width スタンプの横幅
-	 * @param {number} height スタンプのたて幅
-	 * @param {number} cx スタンプの中心x座標
-	 * @param {number} cy スタンプの中心y座標
-	 * @param {number} scale 拡大率
-	 * @param {function} func 関数
-	 * @return {function} スタンプの関数
+	 * 記録しない（中で呼ばれる命令も記録しない）命令
 	 */
-	const makeStamp = function (width, height, cx, cy, scale, func) {
-		let curArgs = null, cacheCtx = null, cacheT = null;
+	const UNRECORDED_COMMANDS = ['stepNext', 'resetAnimation', 'makeChild'];
 
-		function isSame(a0, a1) {
-			if (a0.length !== a1.length) return false;
-			for (let i = 0, I = a0.length; i < I; i += 1) {
-				if (a0[i] !== a1[i]) return false;
+	/**
+	 * 命令の名前か？
+	 * @param {string} name 名前
+	 * @return {boolean} 命令の名前か
+	 */
+	const isCommandName = function (name) {
+		return RECORDED_COMMANDS.includes(name) || ACCESSOR_COMMANDS.includes(name);
+	};
+
+	/**
+	 * 命令を実行する
+	 * @param {TurtleBase} t カメ
+	 * @param {Array[]} cmds 命令の配列
+	 */
+	const run = function (t, cmds) {
+		for (const [name, ...args] of cmds) t[name](...args);
+	};
+
+	/**
+	 * 紙を消す
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 */
+	const clearContext = function (ctx) {
+		if (typeof CROQUJS !== 'undefined' && ctx instanceof CROQUJS.Paper) {
+			ctx.clear();
+			return;
+		}
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+		ctx.restore();
+	};
+
+	/**
+	 * 紙の絵を写す
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 * @return {object|null} 紙と絵（写せないときはnull）
+	 */
+	const snapshotContext = function (ctx) {
+		if (!ctx || !ctx.canvas || typeof ctx.getImageData !== 'function') return null;
+		try {
+			return { ctx, image: ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height) };
+		} catch (e) {  // 別のサイトの画像をかいた紙は写せない
+			return null;
+		}
+	};
+
+	/**
+	 * 紙の絵を写したときに戻す（写していないときは紙を消す）
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 * @param {object|null} snapshot 紙と絵
+	 */
+	const restoreContext = function (ctx, snapshot) {
+		clearContext(ctx);
+		if (snapshot !== null && snapshot.ctx === ctx) ctx.putImageData(snapshot.image, 0, 0);
+	};
+
+
+	/**
+	 * タートル・レコーダー（カメの命令を記録する）
+	 * @version 2026-10-19
+	 */
+	class Recorder {
+
+		/**
+		 * タートル・レコーダーを作る
+		 * @constructor
+		 * @param {TurtleBase=} [opt_turtle=null] 記録するカメ（オプション）
+		 */
+		constructor(opt_turtle = null) {
+			this._commands     = [];
+			this._turtle       = null;
+			this._startState   = null;
+			this._startImage   = null;
+			this._startMeasure = null;
+			this._depth        = 0;
+			this._origs        = new Map();
+
+			if (opt_turtle !== null) this.attach(opt_turtle);
+		}
+
+		/**
+		 * カメの命令の記録を始める
+		 * @param {TurtleBase} t カメ
+		 * @return {Recorder} このレコーダー
+		 */
+		attach(t) {
+			this.detach();
+			this._turtle     = t;
+			this._saveStart();
+
+			const names = [...RECORDED_COMMANDS, ...ACCESSOR_COMMANDS, ...UNRECORDED_COMMANDS, 'gatherTo'];
+			for (const name of names) {
+				const orig = t[name];
+				this._origs.set(name, Object.getOwnPropertyDescriptor(t, name));
+				t[name] = (...args) => {
+					if (this._depth === 0) {
+						const cmd = this._toCommand(t, name, args);
+						if (cmd) this._commands.push(cmd);
+					}
+					this._depth += 1;
+					try {
+						return orig.apply(t, args);
+					} finally {
+						this._depth -= 1;
+					}
+				};
 			}
-			return true;
+			// 別名も記録されるようにする
+			for (const [orig, as] of Object.entries(aliasMap)) {
+				if (!names.includes(orig)) continue;
+				for (const a of as) {
+					this._origs.set(a, Object.getOwnPropertyDescriptor(t, a));
+					t[a] = t[orig];
+				}
+			}
+			return this;
 		}
-		return function (t, ...var_args) {
-			if (!cacheCtx) {
-				cacheCtx = new CROQUJS.Paper(width, height, false);
-				cacheCtx.translate(cx, cy);
-				t.context().addChild(cacheCtx);
-				cacheT = new TURTLE.Turtle(cacheCtx);
+
+		/**
+		 * カメの命令の記録をやめる
+		 * @return {Recorder} このレコーダー
+		 */
+		detach() {
+			const t = this._turtle;
+			if (t === null) return this;
+			// 元からカメが持っていた関数は元に戻す
+			for (const [name, desc] of this._origs) {
+				if (desc) Object.defineProperty(t, name, desc);
+				else delete t[name];
 			}
-			if (!curArgs || !isSame(curArgs, var_args)) {
-				cacheCtx.clear();
-				var_args.unshift(cacheT);  // cacheTを挿入
-				func(...var_args);
-				curArgs = var_args.slice(1);  // cacheTを削除
+			this._origs.clear();
+			this._turtle = null;
+			return this;
+		}
+
+		/**
+		 * 命令をプログラムの形に直す（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TurtleBase} t カメ
+		 * @param {string} name 関数の名前
+		 * @param {Array} args 引数
+		 * @return {Array|null} 命令（記録しないならnull）
+		 */
+		_toCommand(t, name, args) {
+			if (UNRECORDED_COMMANDS.includes(name)) return null;
+			if (name === 'gatherTo') {
+				const o = args[0];
+				return ['moveTo', o._x, o._y, o._dir];
 			}
-			t.image(cacheCtx, cx, cy, scale);
+			if (ACCESSOR_COMMANDS.includes(name) && args[0] === undefined) return null;  // 値の取得は記録しない
+			return [name, ...args.map(a => (Array.isArray(a) ? [...a] : a))];
+		}
+
+		/**
+		 * 記録した命令
+		 * @return {Array[]} 命令（関数の名前と引数）の配列
+		 */
+		commands() {
+			return this._commands.map(c => JSON.parse(JSON.stringify(c)));
+		}
+
+		/**
+		 * 記録した命令の数
+		 * @return {number} 命令の数
+		 */
+		size() {
+			return this._commands.length;
+		}
+
+		/**
+		 * 記録した命令を消す（今のカメの状態と紙の絵を始めの状態にする）
+		 * @return {Recorder} このレコーダー
+		 */
+		clear() {
+			this._commands = [];
+			if (this._turtle !== null) this._saveStart();
+			return this;
+		}
+
+		/**
+		 * 今のカメの状態と紙の絵、測った長さと範囲を始めの状態として覚えておく（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_saveStart() {
+			const t = this._turtle;
+			this._startState   = t._getState();
+			this._startImage   = snapshotContext(t.context());
+			this._startMeasure = [t._drawnLength, t._drawnBox ? Object.assign({}, t._drawnBox) : null];
+		}
+
+		/**
+		 * 最後の命令を取り消す
+		 * - 記録しているカメの紙を記録を始めたときの絵に戻して、残りの命令でかき直す
+		 * - 測った長さと範囲も記録を始めたときに戻してから測り直す
+		 * - 紙の絵を写せなかったとき（別のサイトの画像をかいたときなど）や紙を替えたときは、紙を消してかき直す
+		 * @param {number=} [num=1] 取り消す命令の数
+		 * @return {Array[]} 取り消した命令の配列
+		 */
+		undo(num = 1) {
+			const removed = this._commands.splice(Math.max(0, this._commands.length - num));
+			const t = this._turtle;
+			if (t !== null) {
+				this._depth += 1;
+				try {
+					if (t.pen()) t.penUp();
+					restoreContext(t.context(), this._startImage);
+					t._stack.length = 0;
+					t._setState(this._startState);
+					this._startState = t._getState();  // 状態はかく時に書き換わるので複製しておく
+					const [len, box] = this._startMeasure;
+					t._drawnLength = len;
+					t._drawnBox    = box ? Object.assign({}, box) : null;  // 範囲もかく時に書き換わる
+					run(t, this._commands);
+				} finally {
+					this._depth -= 1;
+				}
+			}
+			return removed;
+		}
+
+		/**
+		 * 記録した命令を別のカメか紙でくり返す
+		 * @param {TurtleBase|Paper|CanvasRenderingContext2D} target カメ／紙／キャンバス・コンテキスト
+		 * @return {TurtleBase} 命令をくり返したカメ
+		 */
+		replay(target) {
+			const t = (target instanceof TurtleBase) ? target : new Turtle(target);
+			if (t === this._turtle) {
+				this._depth += 1;
+				try {
+					run(t, this._commands);
+				} finally {
+					this._depth -= 1;
+				}
+			} else {
+				run(t, this._commands);
+			}
+			return t;
+		}
+
+		/**
+		 * JSONの形にする（JSON.stringifyで使われる）
+		 * @return {object} 命令の配列を持つオブジェクト
+		 */
+		toJSON() {
+			return { commands: this.commands() };
+		}
+
+		/**
+		 * JSONの文字列にする
+		 * @return {string} JSONの文字列
+		 */
+		toJson() {
+			return JSON.stringify(this);
+		}
+
+		/**
+		 * JSONの文字列からレコーダーを作る
+		 * @param {string} json JSONの文字列
+		 * @return {Recorder} レコーダー
+		 */
+		static fromJson(json) {
+			const obj = JSON.parse(json);
+			const ret = new Recorder();
+			for (const c of obj.commands) {
+				if (!Array.isArray(c) || !isCommandName(c[0])) throw new Error(`TURTLE::Recorder.fromJson: 「${c}」は命令ではありません。`);
+				ret._commands.push(c);
+			}
+			return ret;
+		}
+
+	}
+
+
+	/**
+	 * タートル・グループ（たくさんのカメのアニメーションをまとめて進める）
+	 * @version 2026-10-19
+	 */
+	class Group {
+
+		/**
+		 * タートル・グループを作る
+		 * @constructor
+		 * @param {string=} [mode='lockstep'] 進め方（'lockstep'ならいっしょに、'sequence'なら順番に）
+		 */
+		constructor(mode = 'lockstep') {
+			this._mode    = mode;
+			this._speed   = 1;
+			this._members = [];
+
+			this._onFinished    = null;
+			this._onAllFinished = null;
+			this._isAllFinished = false;
+		}
+
+		/**
+		 * カメを加える
+		 * @param {Turtle} t カメ
+		 * @param {function(Turtle, ...*)} func カメでかく関数
+		 * @param {number=} [opt_speedRate=1] 速さの倍率
+		 * @return {Group} このグループ
+		 */
+		add(t, func, opt_speedRate = 1) {
+			t.visible(true);
+			this._members.push({ t, func, rate: opt_speedRate, isFinished: false });
+			this._isAllFinished = false;
+			return this;
+		}
+
+		/**
+		 * カメ
+		 * @return {Turtle[]} カメの配列
+		 */
+		turtles() {
+			return this._members.map(m => m.t);
+		}
+
+		/**
+		 * 進め方
+		 * @param {string=} val 進め方（'lockstep'か'sequence'）
+		 * @return {string|Group} 進め方／このグループ
+		 */
+		mode(val) {
+			if (val === undefined) return this._mode;
+			if (val !== 'lockstep' && val !== 'sequence') throw new Error(`TURTLE::Group.mode: 「${val}」という進め方はありません。`);
+			this._mode = val;
+			return this;
+		}
+
+		/**
+		 * 1回の描画で進める速さ（stepNextに渡す数）
+		 * @param {number=} val 速さ
+		 * @return {number|Group} 速さ／このグループ
+		 */
+		speed(val) {
+			if (val === undefined) return this._speed;
+			this._speed = val;
+			return this;
+		}
+
+		/**
+		 * カメがかき終わったイベントに対応する関数をセットする
+		 * @param {function(Turtle, number)=} handler 関数（カメ、番号）
+		 * @return {function|Group} 関数かこのグループ
+		 */
+		onFinished(handler) {
+			if (handler === undefined) return this._onFinished;
+			this._onFinished = handler;
+			return this;
+		}
+
+		/**
+		 * すべてのカメがかき終わったイベントに対応する関数をセットする
+		 * @param {function(Group)=} handler 関数
+		 * @return {function|Group} 関数かこのグループ
+		 */
+		onAllFinished(handler) {
+			if (handler === undefined) return this._onAllFinished;
+			this._onAllFinished = handler;
+			return this;
+		}
+
+		/**
+		 * かき終わった？
+		 * @param {number=} opt_index カメの番号（指定しなければすべてのカメ）
+		 * @return {boolean} かき終わったかどうか
+		 */
+		isFinished(opt_index) {
+			if (opt_index === undefined) return this._isAllFinished;
+			return this._members[opt_index].isFinished;
+		}
+
+		/**
+		 * カメにかかせて、アニメーションを次に進める（毎回の描画で呼ぶ）
+		 * @param {...*} args カメでかく関数に渡す引数
+		 * @return {Group} このグループ
+		 */
+		draw(...args) {
+			let prevFinished = true;
+			this._members.forEach((m, i) => {
+				// 順番に進める時は、前のカメがかき終わるまで待つ
+				if (this._mode === 'sequence' && !prevFinished) return;
+				m.func(m.t, ...args);
+
+				// 最後までかけていればかき終わり
+				if (m.t._aniFinished && !m.isFinished) {
+					m.isFinished = true;
+					if (this._onFinished) this._onFinished(m.t, i);
+				}
+				m.t.stepNext(this._speed * m.rate);
+				prevFinished = m.isFinished;
+			});
+			if (!this._isAllFinished && this._members.every(m => m.isFinished)) {
+				this._isAllFinished = true;
+				if (this._onAllFinished) this._onAllFinished(this);
+			}
+			return this;
+		}
+
+		/**
+		 * アニメーションを最初に戻す
+		 * @return {Group} このグループ
+		 */
+		resetAnimation() {
+			for (const m of this._members) {
+				m.t.resetAnimation();
+				m.isFinished = false;
+			}
+			this._isAllFinished = false;
+			return this;
+		}
+
+	}
+
+
+	/**
+	 * 3Dタートル（立体の中を動いて、紙に映してかく）
+	 * @version 2026-10-19
+	 */
+	class Turtle3D {
+
+		/**
+		 * 3Dタートルを作る
+		 * @constructor
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 */
+		constructor(ctx) {
+			if (typeof STYLE === 'undefined') throw new Error('Styleライブラリが必要です。');
+
+			this._ctx   = ctx;
+			this._stack = [];
+
+			// 以下の変数は値を直接変えないこと
+			this._pos   = [0, 0, 0];
+			this._head  = [0, -1, 0];  // 前
+			this._right = [1, 0, 0];   // 右
+			this._up    = [0, 0, 1];   // 上（紙の手前）
+			this._step  = 1;
+			this._pen   = false;
+
+			this._stroke  = new STYLE.Stroke();
+			this._paths   = [];
+			this._curPath = null;
+
+			this._projection = 'ortho';
+			this._viewYaw    = 0;
+			this._viewPitch  = 0;
+			this._viewDist   = 800;
+		}
+
+		/**
+		 * 今の状態を保存する
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		save() {
+			this._stack.push([[...this._pos], [...this._head], [...this._right], [...this._up], this._step, this._pen]);
+			return this;
+		}
+
+		/**
+		 * 前の状態を復元する
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		restore() {
+			const t = this._stack.pop();
+			this.pen(false);
+			[this._pos, this._head, this._right, this._up, this._step] = t;
+			this.pen(t[5]);
+			return this;
+		}
+
+
+		// 場所か方向の変化 --------------------------------------------------------
+
+
+		/**
+		 * 前に進む
+		 * @param {number} step 歩数
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		go(step) {
+			const d = step * this._step, h = this._head;
+			return this.moveTo(this._pos[0] + h[0] * d, this._pos[1] + h[1] * d, this._pos[2] + h[2] * d);
+		}
+
+		/**
+		 * 後ろに戻る
+		 * @param {number} step 歩数
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		back(step) {
+			return this.go(-step);
+		}
+
+		/**
+		 * 右に回る（ヨー）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		turnRight(deg) {
+			[this._head, this._right] = rotateAxes(this._head, this._right, deg);
+			return this;
+		}
+
+		/**
+		 * 左に回る（ヨー）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		turnLeft(deg) {
+			return this.turnRight(-deg);
+		}
+
+		/**
+		 * 上を向く（ピッチ）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		pitchUp(deg) {
+			[this._head, this._up] = rotateAxes(this._head, this._up, deg);
+			return this;
+		}
+
+		/**
+		 * 下を向く（ピッチ）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		pitchDown(deg) {
+			return this.pitchUp(-deg);
+		}
+
+		/**
+		 * 右に傾く（ロール）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		rollRight(deg) {
+			[this._up, this._right] = rotateAxes(this._up, this._right, deg);
+			return this;
+		}
+
+		/**
+		 * 左に傾く（ロール）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		rollLeft(deg) {
+			return this.rollRight(-deg);
+		}
+
+		/**
+		 * 移動する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} z z座標
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		moveTo(x, y, z) {
+			this._pos = [x, y, z];
+			if (this._pen) this._curPath.points.push([x, y, z]);
+			return this;
+		}
+
+		/**
+		 * ホームに帰る（最初の場所と方向に戻る）
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		home() {
+			this.moveTo(0, 0, 0);
+			this._head = [0, -1, 0];
+			this._right = [1, 0, 0];
+			this._up = [0, 0, 1];
+			return this;
+		}
+
+		/**
+		 * 場所
+		 * @return {number[]} x、y、z座標
+		 */
+		position() {
+			return [...this._pos];
+		}
+
+		/**
+		 * 前の方向
+		 * @return {number[]} 方向を表す長さ1のベクトル
+		 */
+		heading() {
+			return [...this._head];
+		}
+
+		/**
+		 * 1歩の長さ
+		 * @param {number=} val 値
+		 * @return {number|Turtle3D} 1歩の長さ／この3Dタートル
+		 */
+		step(val) {
+			if (val === undefined) return this._step;
+			this._step = val;
+			return this;
+		}
+
+
+		// 描画状態の変化 ----------------------------------------------------------
+
+
+		/**
+		 * ペンを上げる
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		penUp() {
+			return this.pen(false);
+		}
+
+		/**
+		 * ペンを下ろす
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		penDown() {
+			return this.pen(true);
+		}
+
+		/**
+		 * ペンの状態
+		 * @param {boolean=} val 値（下がっているならtrue）
+		 * @return {boolean|Turtle3D} ペンの状態／この3Dタートル
+		 */
+		pen(val) {
+			if (val === undefined) return this._pen;
+			if (this._pen === false && val === true) {
+				this._curPath = { points: [[...this._pos]], stroke: new STYLE.Stroke(this._stroke) };
+				this._paths.push(this._curPath);
+			}
+			if (this._pen === true && val === false) {
+				if (this._curPath.points.length < 2) this._paths.pop();
+				this._curPath = null;
+			}
+			this._pen = val;
+			return this;
+		}
+
+		/**
+		 * 線スタイル（ペンを下ろした時のスタイルでかく）
+		 * @param {Stroke=} opt_stroke 設定する線スタイル（オプション）
+		 * @return {Stroke|Turtle3D} 線スタイル／この3Dタートル
+		 */
+		stroke(opt_stroke) {
+			if (opt_stroke === undefined) return this._stroke;
+			this._stroke = new STYLE.Stroke(opt_stroke);
+			return this;
+		}
+
+		/**
+		 * かいた線（3Dの座標）
+		 * @return {number[][][]} 線ごとの点の配列
+		 */
+		paths() {
+			return this._paths.map(p => p.points.map(q => [...q]));
+		}
+
+		/**
+		 * かいた線を消す
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		clear() {
+			this._paths = [];
+			if (this._pen) {
+				this._curPath = { points: [[...this._pos]], stroke: new STYLE.Stroke(this._stroke) };
+				this._paths.push(this._curPath);
+			}
+			return this;
+		}
+
+
+		// 紙に映す ----------------------------------------------------------------
+
+
+		/**
+		 * 紙
+		 * @param {Paper|CanvasRenderingContext2D=} ctx 紙／キャンバス・コンテキスト
+		 * @return {Paper|CanvasRenderingContext2D|Turtle3D} 紙／キャンバス・コンテキスト／この3Dタートル
+		 */
+		context(ctx) {
+			if (ctx === undefined) return this._ctx;
+			this._ctx = ctx;
+			return this;
+		}
+
+		/**
+		 * 映し方
+		 * @param {string=} val 映し方（'ortho'なら平行投影、'perspective'なら透視投影）
+		 * @return {string|Turtle3D} 映し方／この3Dタートル
+		 */
+		projection(val) {
+			if (val === undefined) return this._projection;
+			if (val !== 'ortho' && val !== 'perspective') throw new Error(`TURTLE::Turtle3D.projection: 「${val}」という映し方はありません。`);
+			this._projection = val;
+			return this;
+		}
+
+		/**
+		 * 見る向き
+		 * @param {number=} yaw 横の回転角度
+		 * @param {number=} [opt_pitch=0] たての回転角度
+		 * @return {number[]|Turtle3D} 見る向き／この3Dタートル
+		 */
+		viewAngle(yaw, opt_pitch = 0) {
+			if (yaw === undefined) return [this._viewYaw, this._viewPitch];
+			this._viewYaw = yaw;
+			this._viewPitch = opt_pitch;
+			return this;
+		}
+
+		/**
+		 * 見る距離（透視投影の時に使う）
+		 * @param {number=} val 距離
+		 * @return {number|Turtle3D} 距離／この3Dタートル
+		 */
+		viewDistance(val) {
+			if (val === undefined) return this._viewDist;
+			this._viewDist = val;
+			return this;
+		}
+
+		/**
+		 * 3Dの座標を紙の座標にする
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} z z座標
+		 * @return {number[]|null} 紙のx、y座標（見る場所より後ろならnull）
+		 */
+		project(x, y, z) {
+			const a = rad(this._viewYaw), b = rad(this._viewPitch);
+			const x1 = x * Math.cos(a) + z * Math.sin(a), z1 = -x * Math.sin(a) + z * Math.cos(a);
+			const y2 = y * Math.cos(b) - z1 * Math.sin(b), z2 = y * Math.sin(b) + z1 * Math.cos(b);
+			if (this._projection === 'ortho') return [x1, y2];
+			const d = this._viewDist - z2;
+			if (d <= 0) return null;
+			const f = this._viewDist / d;
+			return [x1 * f, y2 * f];
+		}
+
+		/**
+		 * かいた線を紙に映してかく
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		draw() {
+			const ctx = this._ctx;
+			for (const { points, stroke } of this._paths) {
+				const area = { fromX: 0, toX: 0, left: 0, right: 0, fromY: 0, toY: 0, top: 0, bottom: 0, sqLen: 0 };
+				let isFirst = true;
+				ctx.beginPath();
+				for (const q of points) {
+					const p = this.project(...q);
+					if (p === null) {
+						isFirst = true;
+						continue;
+					}
+					if (isFirst) {
+						ctx.moveTo(p[0], p[1]);
+						area.fromX = area.toX = area.left = area.right = p[0];
+						area.fromY = area.toY = area.top = area.bottom = p[1];
+						isFirst = false;
+					} else {
+						ctx.lineTo(p[0], p[1]);
+						area.toX = p[0];
+						area.toY = p[1];
+						area.left = Math.min(area.left, p[0]); area.right = Math.max(area.right, p[0]);
+						area.top = Math.min(area.top, p[1]); area.bottom = Math.max(area.bottom, p[1]);
+					}
+				}
+				stroke.draw(ctx, area);
+			}
+			return this;
+		}
+
+	}
+
+
+	// ユーティリティ関数 ------------------------------------------------------
+
+
+	/**
+	 * タートルを使ってかく関数からスタンプ（高速に絵をかく関数）を作る
+	 * - スタンプの関数のpaper関数（引数はスタンプの関数と同じ）で、スタンプの紙をもらえる（STYLE.Fillのtileに使う）
+	 * @param {number} width スタンプの横幅
+	 * @param {number} height スタンプのたて幅
+	 * @param {number} cx スタンプの中心x座標
+	 * @param {number} cy スタンプの中心y座標
+	 * @param {number} scale 拡大率
+	 * @param {function} func 関数
+	 * @return {function} スタンプの関数
+	 */
+	const makeStamp = function (width, height, cx, cy, scale, func) {
+		let curArgs = null, cacheCtx = null, cacheT = null;
+
+		function isSame(a0, a1) {
+			if (a0.length !== a1.length) return false;
+			for (let i = 0, I = a0.length; i < I; i += 1) {
+				if (a0[i] !== a1[i]) return false;
+			}
+			return true;
+		}
+		function update(t, var_args) {
+			if (!cacheCtx) {
+				cacheCtx = new CROQUJS.Paper(width, height, false);
+				cacheCtx.translate(cx, cy);
+				t.context().addChild(cacheCtx);
+				cacheT = new TURTLE.Turtle(cacheCtx);
+			}
+			if (!curArgs || !isSame(curArgs, var_args)) {
+				cacheCtx.clear();
+				var_args.unshift(cacheT);  // cacheTを挿入
+				func(...var_args);
+				curArgs = var_args.slice(1);  // cacheTを削除
+			}
+			return cacheCtx;
+		}
+		const stamp = function (t, ...var_args) {
+			t.image(update(t, var_args), cx, cy, scale);
+		};
+		stamp.paper = function (t, ...var_args) {
+			return update(t, var_args);
 		};
+		return stamp;
 	};
 
 
@@ -1529,14 +2759,15 @@ const TURTLE = (function () {
 	};
 
 	// 関数の別名を登録する
-	for (const target of [Turtle, TurtleBase]) {
+	for (const target of [Turtle, TurtleBase, Turtle3D]) {
 		for (const [orig, as] of Object.entries(aliasMap)) {
+			if (target.prototype[orig] === undefined) continue;
 			for (const a of as) {
 				target.prototype[a] = target.prototype[orig];
 			}
 		}
 	}
 
-	return { Turtle, TurtleBase, makeStamp };
+	return { Turtle, TurtleBase, Turtle3D, Recorder, Group, makeStamp };
 
 }());
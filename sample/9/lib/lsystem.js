@@ -0,0 +1,238 @@
+/**
+ * エル・システム・ライブラリ（LSYSTEM）
+ *
+ * 書きかえ規則で文字列を育てて、カメにかかせるライブラリです。
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+
+/**
+ * ライブラリ変数
+ */
+const LSYSTEM = (function () {
+
+	'use strict';
+
+
+	/**
+	 * エル・システム
+	 * @version 2026-10-19
+	 */
+	class LSystem {
+
+		/**
+		 * エル・システムを作る
+		 * @constructor
+		 * @param {string=} [axiom=''] 初期の文字列（公理）
+		 * @param {object=} [rules={}] 書きかえ規則（文字列か文字列の配列）
+		 * @param {number=} [iterations=1] 書きかえる回数
+		 */
+		constructor(axiom = '', rules = {}, iterations = 1) {
+			this._axiom      = axiom;
+			this._rules      = new Map();
+			this._iterations = iterations;
+			this._dice       = null;
+
+			this._step  = 10;
+			this._angle = 90;
+
+			this._commands = new Map();
+			this._result   = null;
+
+			this.rules(rules);
+			this.command('F', (t, ls) => t.go(ls.step()));
+			this.command('G', (t, ls) => t.go(ls.step()));
+			this.command('f', (t, ls) => {
+				const p = t.pen();
+				t.penUp().go(ls.step()).pen(p);
+			});
+			this.command('+', (t, ls) => t.turnLeft(ls.angle()));
+			this.command('-', (t, ls) => t.turnRight(ls.angle()));
+			this.command('|', (t, ls) => t.turnRight(180));
+			this.command('[', (t, ls) => t.save());
+			this.command(']', (t, ls) => {
+				// ペンを下ろしたまま戻ると線がつながってしまうので、一度ペンを上げる
+				if (t.pen()) t.penUp();
+				t.restore();
+			});
+		}
+
+		/**
+		 * 初期の文字列（公理）
+		 * @param {string=} val 文字列
+		 * @return {string|LSystem} 文字列／このエル・システム
+		 */
+		axiom(val) {
+			if (val === undefined) return this._axiom;
+			this._axiom = val;
+			this._result = null;
+			return this;
+		}
+
+		/**
+		 * 書きかえる回数
+		 * @param {number=} val 回数
+		 * @return {number|LSystem} 回数／このエル・システム
+		 */
+		iterations(val) {
+			if (val === undefined) return this._iterations;
+			this._iterations = val;
+			this._result = null;
+			return this;
+		}
+
+		/**
+		 * 書きかえ規則を追加する
+		 * - 同じ文字に複数の規則を追加すると、重みに合わせて確率で選ぶ
+		 * @param {string} symbol 文字
+		 * @param {string} successor 書きかえ後の文字列
+		 * @param {number=} [opt_weight=1] 重み
+		 * @return {LSystem} このエル・システム
+		 */
+		rule(symbol, successor, opt_weight = 1) {
+			if (!this._rules.has(symbol)) this._rules.set(symbol, []);
+			this._rules.get(symbol).push([successor, opt_weight]);
+			this._result = null;
+			return this;
+		}
+
+		/**
+		 * 書きかえ規則をまとめて設定する（今までの規則は消える）
+		 * @param {object=} rs 文字をキー、書きかえ後の文字列（配列なら確率で選ぶ）を値とするオブジェクト
+		 * @return {object|LSystem} 書きかえ規則／このエル・システム
+		 */
+		rules(rs) {
+			if (rs === undefined) {
+				const ret = {};
+				for (const [s, ss] of this._rules) ret[s] = ss.map(e => e[0]);
+				return ret;
+			}
+			this._rules.clear();
+			for (const [s, v] of Object.entries(rs)) {
+				for (const succ of (Array.isArray(v) ? v : [v])) this.rule(s, succ);
+			}
+			this._result = null;
+			return this;
+		}
+
+		/**
+		 * サイコロ（確率で選ぶ規則に使う）
+		 * @param {Dice=} val サイコロ（CALC.Dice）
+		 * @return {Dice|LSystem} サイコロ／このエル・システム
+		 */
+		dice(val) {
+			if (val === undefined) return this._dice;
+			this._dice = val;
+			this._result = null;
+			return this;
+		}
+
+		/**
+		 * 文字の意味（カメへの命令）を設定する
+		 * @param {string} symbol 文字
+		 * @param {function(Turtle, LSystem)=} func 関数（nullなら何もしない）
+		 * @return {function|LSystem} 関数／このエル・システム
+		 */
+		command(symbol, func) {
+			if (func === undefined) return this._commands.get(symbol);
+			this._commands.set(symbol, func);
+			return this;
+		}
+
+		/**
+		 * 進む歩数
+		 * @param {number=} val 歩数
+		 * @return {number|LSystem} 歩数／このエル・システム
+		 */
+		step(val) {
+			if (val === undefined) return this._step;
+			this._step = val;
+			return this;
+		}
+
+		/**
+		 * 回る角度
+		 * @param {number=} val 角度
+		 * @return {number|LSystem} 角度／このエル・システム
+		 */
+		angle(val) {
+			if (val === undefined) return this._angle;
+			this._angle = val;
+			return this;
+		}
+
+		/**
+		 * 書きかえた文字列を作る（一度作った文字列は規則などを変えるまで使い回す）
+		 * @param {boolean=} [opt_regenerate=false] 作り直すか？
+		 * @return {string} 文字列
+		 */
+		generate(opt_regenerate = false) {
+			if (this._result !== null && !opt_regenerate) return this._result;
+			let str = this._axiom;
+			for (let i = 0; i < this._iterations; i += 1) {
+				let next = '';
+				for (const c of str) {
+					next += this._rules.has(c) ? this._choose(this._rules.get(c)) : c;
+				}
+				str = next;
+			}
+			this._result = str;
+			return str;
+		}
+
+		/**
+		 * 書きかえ規則を選ぶ（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Array[]} ss 書きかえ後の文字列と重みの配列
+		 * @return {string} 書きかえ後の文字列
+		 */
+		_choose(ss) {
+			if (ss.length === 1) return ss[0][0];
+			if (this._dice === null) {
+				if (typeof CALC === 'undefined') throw new Error('Calcライブラリが必要です。');
+				this._dice = new CALC.Dice();
+			}
+			const sum = ss.reduce((s, e) => s + e[1], 0);
+			let r = this._dice.random(0, sum);
+			for (const [succ, w] of ss) {
+				if (r < w) return succ;
+				r -= w;
+			}
+			return ss[ss.length - 1][0];
+		}
+
+		/**
+		 * カメにかかせる
+		 * - アニメーション（stepNext）の時は、毎回の描画で呼ぶと少しずつ育つ
+		 * @param {Turtle} t カメ
+		 * @return {LSystem} このエル・システム
+		 */
+		draw(t) {
+			let depth = 0;
+			for (const c of this.generate()) {
+				if (c === ']') {
+					if (depth === 0) continue;  // 対応する「[」がない
+					depth -= 1;
+				} else if (c === '[') {
+					depth += 1;
+				}
+				const func = this._commands.get(c);
+				if (func) func(t, this);
+			}
+			// 対応する「]」がない分を戻す
+			const pop = this._commands.get(']');
+			for (; 0 < depth; depth -= 1) if (pop) pop(t, this);
+			return this;
+		}
+
+	}
+
+
+	// ライブラリを作る --------------------------------------------------------
+
+
+	return { LSystem };
+
+}());
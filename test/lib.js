@@ -0,0 +1,31 @@
+/**
+ * テストでライブラリを読み込む
+ *
+ * どのサンプルのlibも同じものなので、sample/2/libを読み込みます。
+ * ライブラリは一つの環境に順に読み込むので、使うライブラリを先に読み込んでください。
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const LIB_DIR = path.join(__dirname, '..', 'sample', '2', 'lib');
+
+/**
+ * ライブラリを読み込む
+ * @param {...string} names ライブラリの名前（'turtle'など）
+ * @return {object} ライブラリ変数を持つ環境
+ */
+const load = function (...names) {
+	const context = vm.createContext({ console, window: { performance: { now: () => 0 } } });
+	for (const n of names) {
+		const file = path.join(LIB_DIR, `${n}.js`);
+		vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+	}
+	// const で宣言したライブラリ変数は環境のプロパティにならないので、名前で取り出す
+	return new Proxy(context, { get: (c, k) => vm.runInContext(String(k), c) });
+};
+
+module.exports = { load };
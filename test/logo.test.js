@@ -0,0 +1,112 @@
+/**
+ * ロゴ・ライブラリ（LOGO）のテスト
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { load } = require('./lib');
+
+const { LOGO } = load('logo');
+
+/**
+ * 呼ばれた命令を記録するだけのカメを作る
+ * @param {Array[]} log 命令の記録
+ * @return {object} カメ
+ */
+const makeTarget = function (log) {
+	return new Proxy({}, { get: (t, name) => (...args) => log.push([name, ...args]) });
+};
+
+/**
+ * 実行して、呼ばれた命令を返す
+ * @param {string} src 文字列
+ * @return {Array[]} 命令の配列
+ */
+const runLog = function (src) {
+	const log = [];
+	LOGO.run(src, makeTarget(log));
+	return log;
+};
+
+/**
+ * エラーの種類と場所を確かめる
+ * @param {function} fn 実行する関数
+ * @param {function} type エラーの種類
+ * @param {number} line 行
+ * @param {number} col 文字
+ */
+const assertErrorAt = function (fn, type, line, col) {
+	assert.throws(fn, (e) => {
+		assert.strictEqual(e.name, type.name);
+		assert.strictEqual(e.line, line, e.message);
+		assert.strictEqual(e.col, col, e.message);
+		assert.ok(e.message.startsWith('LOGO::'), e.message);
+		assert.ok(e.message.includes(`${line}行目${col}文字目`), e.message);
+		return true;
+	});
+};
+
+module.exports = {
+
+	'空白の後の「-」は符号になる'() {
+		assert.deepStrictEqual(runLog('moveTo 100 -50'), [['moveTo', 100, -50]]);
+		assert.deepStrictEqual(runLog('cr 90 72 -90'), [['curveRight', 90, 72, -90]]);
+		assert.deepStrictEqual(runLog('cr 90 72 90 -30'), [['curveRight', 90, 72, 90, -30]]);
+		assert.deepStrictEqual(runLog('cl 10 20 30 40 -50'), [['curveLeft', 10, 20, 30, 40, -50]]);
+		assert.deepStrictEqual(runLog('moveTo 100-50 -(5)'), [['moveTo', 50, -5]]);
+	},
+
+	'両側に空白がある「-」は引き算になる'() {
+		assert.deepStrictEqual(runLog('moveTo 100 - 50 10'), [['moveTo', 50, 10]]);
+	},
+
+	'使えない文字の場所を返す'() {
+		assertErrorAt(() => LOGO.parse('fd 10 $'), SyntaxError, 1, 7);
+		assertErrorAt(() => LOGO.parse('fd 10\n  rt $'), SyntaxError, 2, 6);
+	},
+
+	'解析のエラーの場所を返す'() {
+		assertErrorAt(() => LOGO.parse('fd 10\nrt 90\nfoo 3'), SyntaxError, 3, 1);
+		assertErrorAt(() => LOGO.parse('fd 10\nrepeat 4 [fd 10'), SyntaxError, 2, 10);
+		assertErrorAt(() => LOGO.parse('to sq :n\nfd :n'), SyntaxError, 1, 1);
+		assertErrorAt(() => LOGO.parse('fd 10 end'), SyntaxError, 1, 7);
+	},
+
+	'実行のエラーの場所を返す'() {
+		assertErrorAt(() => runLog('fd 10\n  fd :x'), Error, 2, 6);
+		assertErrorAt(() => runLog('stop'), Error, 1, 1);
+		assertErrorAt(() => runLog('fd repcount'), Error, 1, 4);
+	},
+
+	'手続きを定義して呼び出す'() {
+		const log = runLog('to sq :n\n repeat 4 [fd :n rt 90]\nend\nsq 10');
+		assert.deepStrictEqual(log, [
+			['go', 10], ['turnRight', 90], ['go', 10], ['turnRight', 90],
+			['go', 10], ['turnRight', 90], ['go', 10], ['turnRight', 90],
+		]);
+	},
+
+	'手続きはstopで戻り、再帰できる'() {
+		const log = runLog('to countdown :n\n if :n < 1 [stop]\n fd :n\n countdown :n - 1\nend\ncountdown 3');
+		assert.deepStrictEqual(log, [['go', 3], ['go', 2], ['go', 1]]);
+	},
+
+	'定義する前の手続きの呼び出しは実行のエラーになる'() {
+		assertErrorAt(() => runLog('sq 10\nto sq :n fd :n end'), Error, 1, 1);
+	},
+
+	'手続きは同じインタープリターの次の実行でも使える'() {
+		const log = [];
+		const it = new LOGO.Interpreter(makeTarget(log));
+		it.run('to tri :n repeat 3 [fd :n rt 120] end');
+		assert.deepStrictEqual([...it.procedures()], ['tri']);  // 別の環境の配列なので、この環境の配列にする
+		it.run('tri 5');
+		assert.strictEqual(log.length, 6);
+	},
+
+	'深すぎる呼び出しはエラーになる'() {
+		assert.throws(() => runLog('to loop loop end\nloop'), /深すぎます/);
+	},
+
+};
@@ -0,0 +1,26 @@
+/**
+ * テストを全て実行する（node test/run.js）
+ *
+ * このフォルダーの「*.test.js」を順に実行し、失敗したテストがあれば終了コードを1にします。
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+let failed = 0;
+for (const f of fs.readdirSync(__dirname).filter(f => f.endsWith('.test.js')).sort()) {
+	const tests = require(path.join(__dirname, f));
+	for (const [name, fn] of Object.entries(tests)) {
+		try {
+			fn();
+			console.log(`ok   ${f}: ${name}`);
+		} catch (e) {
+			failed += 1;
+			console.log(`FAIL ${f}: ${name}`);
+			console.log(e);
+		}
+	}
+}
+if (failed) process.exitCode = 1;
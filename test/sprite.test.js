@@ -0,0 +1,87 @@
+/**
+ * スプライト・ライブラリ（SPRITE）のテスト
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { load } = require('./lib');
+
+const { SPRITE } = load('style', 'path', 'ruler', 'sprite');
+
+/**
+ * 同じ場面を、マス目を使うときと使わないときで作る
+ * @param {function(?number):Array} scene 場面を作って結果を返す関数（引数はマス目の大きさ）
+ */
+const assertSameWithGrid = function (scene) {
+	const brute = scene(null);
+	for (const size of [10, 20, 40]) assert.deepStrictEqual(scene(size), brute, `マス目の大きさ ${size}`);
+};
+
+/**
+ * 呼ばれたパスの関数を記録するキャンバス・コンテキストを作る
+ * @param {Array[]} log 関数の記録
+ * @return {object} キャンバス・コンテキスト
+ */
+const makeContext = function (log) {
+	const base = { getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }) };
+	return new Proxy(base, {
+		get: (o, k) => (k in o) ? o[k] : (...args) => { if (k === 'moveTo' || k === 'lineTo') log.push([k, ...args]); },
+		set: (o, k, v) => (o[k] = v, true),
+	});
+};
+
+module.exports = {
+
+	'多角形は衝突判定の多角形をnullにしてもかける'() {
+		const ps = [[0, 0], [10, 0], [10, 10]];
+		const log = [], ctx = makeContext(log);
+		const p = new SPRITE.Polygon(ps, false);
+		p._draw(ctx);
+		const before = log.splice(0);
+		assert.ok(0 < before.length);
+		p.collisionPolygon(null);
+		p._draw(ctx);
+		assert.deepStrictEqual(log, before);
+		assert.deepStrictEqual(p.points().map(q => [...q]), ps);
+		assert.strictEqual(p.collisionPolygon(), null);
+	},
+
+	'更新の後に動かしたスプライトもneighborsで見つかる'() {
+		assertSameWithGrid((size) => {
+			const st = new SPRITE.Stage().collisionGridSize(size);
+			const a = new SPRITE.Circle(3), b = new SPRITE.Circle(3).moveTo(100, 0);
+			st.add(a);
+			st.add(b);
+			st.update(16);
+			const ret = [];
+			b.moveTo(5, 0);
+			ret.push(st.neighbors(0, 0, 10).length);
+			b.x(300);
+			ret.push(st.neighbors(0, 0, 10).length);
+			b.x(8);
+			ret.push(st.neighbors(0, 0, 10).length);
+			return ret;
+		});
+	},
+
+	'更新中に先に動いたスプライトもneighborsで見つかる'() {
+		assertSameWithGrid((size) => {
+			let seed = 1;
+			const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+			const st = new SPRITE.Stage().collisionGridSize(size);
+			const ret = [];
+			for (let i = 0; i < 60; i += 1) {
+				const c = new SPRITE.Circle(2 + rand() * 4).moveTo(rand() * 200, rand() * 200);
+				c.motion((e, dt, x, y) => {
+					ret.push(st.neighbors(x, y, 15).length);
+					return [x + (rand() - 0.5) * 30, y + (rand() - 0.5) * 30];
+				});
+				st.add(c);
+			}
+			for (let i = 0; i < 20; i += 1) st.update(16);
+			return ret;
+		});
+	},
+
+};
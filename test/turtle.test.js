@@ -0,0 +1,69 @@
+/**
+ * タートル・ライブラリ（TURTLE）のテスト
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { load } = require('./lib');
+
+const lib = load('calc', 'style', 'path', 'turtle');
+const TURTLE = lib.TURTLE;
+
+/**
+ * 何もしないキャンバス・コンテキストを作る
+ * @return {object} キャンバス・コンテキスト
+ */
+const makeContext = function () {
+	const base = {
+		canvas      : { width: 100, height: 100 },
+		getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+	};
+	return new Proxy(base, { get: (o, k) => (k in o) ? o[k] : () => {}, set: (o, k, v) => (o[k] = v, true) });
+};
+
+/**
+ * 範囲をこの環境のオブジェクトにする
+ * @param {object|null} b 範囲
+ * @return {object|null} 範囲
+ */
+const boundsOf = function (b) {
+	return b ? Object.assign({}, b) : null;
+};
+
+module.exports = {
+
+	'取り消した後の長さと範囲は残りの命令だけのもの'() {
+		const t = new TURTLE.Turtle(makeContext());
+		const r = new TURTLE.Recorder(t);
+		t.pd().go(100).turnRight(90).go(100);
+		r.undo(2);
+
+		const u = new TURTLE.Turtle(makeContext());
+		u.pd().go(100);
+		assert.strictEqual(t.getDrawnLength(), 100);
+		assert.deepStrictEqual(boundsOf(t.getDrawnBounds()), boundsOf(u.getDrawnBounds()));
+	},
+
+	'ペンを上げた後で取り消しても長さは増えない'() {
+		const t = new TURTLE.Turtle(makeContext());
+		const r = new TURTLE.Recorder(t);
+		t.pd().go(100).pu().pd().go(100).pu();
+		r.undo(1);
+		assert.strictEqual(t.getDrawnLength(), 200);
+		r.undo(3);
+		assert.strictEqual(t.getDrawnLength(), 100);
+	},
+
+	'記録を始める前に測った長さと範囲は残る'() {
+		const t = new TURTLE.Turtle(makeContext());
+		t.pd().go(50).pu();
+		const before = boundsOf(t.getDrawnBounds());
+		const r = new TURTLE.Recorder(t);
+		t.moveTo(0, 0).pd().go(100).pu();
+		r.undo(r.size());
+		assert.strictEqual(t.getDrawnLength(), 50);
+		assert.deepStrictEqual(boundsOf(t.getDrawnBounds()), before);
+	},
+
+};